@@ -0,0 +1,843 @@
+#!/usr/bin/env node
+// DirectDrop command-line sender and receiver.
+//
+//   directdrop send <file|folder...>     prints the /receive/:roomId link and a QR code
+//   directdrop receive <link|roomId>     saves the files into the current directory
+//
+// Talks to the same signaling server as the web pages (join-room, offer, answer, ice-candidate,
+// transfer-confirmed and /api/turn-config), so either end can be a browser. The pages' own
+// shared.js and transfer-session.js run in this process on top of a Node WebRTC implementation.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { parseArgs } = require('util');
+
+const DEFAULT_SERVER = process.env.DIRECTDROP_SERVER || 'https://largefiletransfer.org';
+const SIGNALING_TIMEOUT = 10000;
+const PROGRESS_INTERVAL = 1000; // How often the progress line is redrawn
+const CONFIRMATION_GRACE = 500; // Lets the final messages reach the other side before exiting
+const BUFFERED_AMOUNT_POLL_INTERVAL = 20;
+const TURN_REFRESH_MARGIN = 60 * 1000; // Fetch new TURN credentials this long before the old ones expire
+
+const USAGE = `Usage:
+  directdrop send <file|folder...> [options]
+    --server <url>          Signaling server (default ${DEFAULT_SERVER})
+    --password <password>   Protect the link with a password (4+ characters)
+    --encrypt               Also encrypt the data with the password (12+ characters)
+    --expiry <minutes>      How long the link works, 5 to 1440 (default 60)
+    --max-downloads <n>     Exit after this many downloads, 0 for unlimited (default 1)
+    --parallel <n>          Data channels to spread the transfer across, 1 to 8 (default 1)
+
+  directdrop receive <link|roomId> [options]
+    --server <url>          Signaling server when only a room ID is given
+    --password <password>   Password of a protected link
+    --output <dir>          Where to save the files (default: current directory)
+    Receiving can't resume: if the connection drops, run the command again to start over.`;
+
+// --- Shared transfer code ---
+// The pages' scripts expect a browser; these few globals are all they touch outside of DOM helpers
+function loadTransferCode(serverUrl) {
+    const { origin, hostname } = new URL(serverUrl);
+    globalThis.window = { location: { origin, hostname }, crypto: globalThis.crypto };
+
+    ['shared.js', 'transfer-session.js'].forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+        vm.runInThisContext(source, { filename: file });
+    });
+
+    return vm.runInThisContext(`({
+        TransferSession, generateSecureRoomId, generatePasswordSalt, derivePasswordVerifier,
+        computePasswordProof, computeFileIntegrity, createFileHasher, deriveTransferKey, sealMetadata,
+        openSealedMetadata, isValidManifest, bytesToBase64, base64ToBytes, formatFileSize, formatSpeed, formatTimeout,
+        CHUNK_SIZE, MAX_FILE_SIZE, MAX_MANIFEST_FILES, MIN_LINK_EXPIRY, MAX_LINK_EXPIRY, MAX_DOWNLOAD_LIMIT,
+        MAX_PARALLEL_CHANNELS, RECONNECT_GRACE_PERIOD, MIN_ENCRYPTION_PASSWORD_LENGTH, ENCRYPTION_SALT_LENGTH, ENCRYPTION_KDF_ITERATIONS, ENCRYPTED_FILE_NAME
+    })`);
+}
+
+function loadWebRTC() {
+    let wrtc;
+    try {
+        wrtc = require('@roamhq/wrtc');
+    } catch (error) {
+        fail('The Node WebRTC implementation (@roamhq/wrtc) is not installed. Run "npm install" in the DirectDrop folder.');
+    }
+
+    // wrtc never fires bufferedamountlow, which the flow control waits for - poll the buffer instead.
+    // The session's handler only sends when there is room, so calling it while the buffer is low is safe.
+    return class extends wrtc.RTCPeerConnection {
+        createDataChannel(label, options) {
+            const channel = super.createDataChannel(label, options);
+            const timer = setInterval(() => {
+                if (channel.readyState === 'closed') {
+                    clearInterval(timer);
+                } else if (channel.readyState === 'open' && channel.onbufferedamountlow &&
+                           channel.bufferedAmount <= channel.bufferedAmountLowThreshold) {
+                    channel.onbufferedamountlow();
+                }
+            }, BUFFERED_AMOUNT_POLL_INTERVAL);
+            timer.unref();
+            return channel;
+        }
+    };
+}
+
+// --- Helpers ---
+function fail(message) {
+    clearProgress();
+    console.error(`Error: ${message}`);
+    process.exit(1);
+}
+
+let progressShown = false;
+
+function showProgress(text) {
+    if (process.stderr.isTTY) {
+        process.stderr.write(`\r${text}\x1b[K`);
+        progressShown = true;
+    } else {
+        console.error(text);
+    }
+}
+
+function clearProgress() {
+    if (progressShown) {
+        process.stderr.write('\r\x1b[K');
+        progressShown = false;
+    }
+}
+
+function log(message) {
+    clearProgress();
+    console.log(message);
+}
+
+// Throttled "42% of 1.2 GB at 35 MB/s" line for one transfer
+function createProgressReporter(dd, label, totalBytes) {
+    let startTime = null;
+    let startBytes = 0;
+    let lastShown = 0;
+
+    return (bytes) => {
+        const now = Date.now();
+        if (startTime === null) {
+            startTime = now;
+            startBytes = bytes;
+            lastShown = now; // Wait for a first speed measurement
+        }
+        if (now - lastShown < PROGRESS_INTERVAL && bytes < totalBytes) return;
+        lastShown = now;
+
+        const elapsed = (now - startTime) / 1000;
+        const speed = elapsed > 0 ? (bytes - startBytes) / elapsed : 0;
+        const percent = totalBytes > 0 ? Math.floor(bytes / totalBytes * 100) : 100;
+        showProgress(`${label}: ${percent}% of ${dd.formatFileSize(totalBytes)} at ${dd.formatSpeed(speed)}`);
+    };
+}
+
+function normalizeServerUrl(serverUrl) {
+    try {
+        const url = new URL(serverUrl);
+        return url.origin;
+    } catch (error) {
+        fail(`Invalid server URL: ${serverUrl}`);
+    }
+}
+
+// The room must exist. TURN credentials only last minutes: with onRefresh, new ones are fetched
+// shortly before they expire and handed to it, for senders that wait a long time for receivers.
+async function loadTurnConfig(serverUrl, roomId, onRefresh) {
+    try {
+        const response = await fetch(`${serverUrl}/api/turn-config?roomId=${encodeURIComponent(roomId)}`);
+        if (response.ok) {
+            const { expiresAt, ...config } = await response.json();
+            if (expiresAt && onRefresh) {
+                const refreshIn = Math.max(expiresAt - Date.now() - TURN_REFRESH_MARGIN, TURN_REFRESH_MARGIN);
+                setTimeout(async () => onRefresh(await loadTurnConfig(serverUrl, roomId, onRefresh)), refreshIn).unref();
+            }
+            return config;
+        }
+    } catch (error) {
+        // Fall through to STUN-only
+    }
+    console.error('Could not load TURN configuration, using STUN only');
+    return { iceServers: [{ urls: 'stun:stun.l.google.com:19302' }] };
+}
+
+function connectSocket(serverUrl) {
+    const { io } = require('socket.io-client');
+    const socket = io(serverUrl, { timeout: SIGNALING_TIMEOUT, reconnectionAttempts: 5 });
+
+    return new Promise((resolve, reject) => {
+        socket.once('connect', () => resolve(socket));
+        socket.once('connect_error', (error) => reject(new Error(`Could not connect to ${serverUrl}: ${error.message}`)));
+    });
+}
+
+// Resolve with the first of `events` the server sends back
+function waitForEvent(socket, events) {
+    return new Promise((resolve) => {
+        const handlers = events.map(event => {
+            const handler = (data) => {
+                events.forEach((name, i) => socket.off(name, handlers[i]));
+                resolve({ event, data });
+            };
+            socket.on(event, handler);
+            return handler;
+        });
+    });
+}
+
+function emitJoinRoom(socket, data) {
+    return new Promise((resolve) => {
+        socket.timeout(SIGNALING_TIMEOUT).emit('join-room', data, (err, response) => {
+            resolve(err || !response ? { success: false, error: 'Server did not respond' } : response);
+        });
+    });
+}
+
+// --- Send ---
+// Every file under the given paths, with paths relative to the folder each argument sits in
+async function collectFiles(inputPaths) {
+    const files = [];
+
+    async function walk(fullPath, relativePath) {
+        const stats = await fs.promises.stat(fullPath);
+        if (stats.isDirectory()) {
+            const entries = await fs.promises.readdir(fullPath);
+            for (const entry of entries.sort()) {
+                await walk(path.join(fullPath, entry), `${relativePath}/${entry}`);
+            }
+        } else if (stats.isFile()) {
+            files.push({ fullPath, path: relativePath, size: stats.size });
+        }
+    }
+
+    for (const inputPath of inputPaths) {
+        const resolved = path.resolve(inputPath);
+        try {
+            await walk(resolved, path.basename(resolved));
+        } catch (error) {
+            fail(`Cannot read ${inputPath}: ${error.message}`);
+        }
+    }
+    return files;
+}
+
+function getBundleName(inputPaths, files) {
+    if (inputPaths.length === 1 && files.length > 1) {
+        return path.basename(path.resolve(inputPaths[0]));
+    }
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    return `files_${timestamp}`;
+}
+
+function parseLinkSettings(dd, options) {
+    const linkExpiry = Number(options.expiry || 60) * 60 * 1000;
+    if (!(linkExpiry >= dd.MIN_LINK_EXPIRY && linkExpiry <= dd.MAX_LINK_EXPIRY)) {
+        fail('--expiry must be between 5 and 1440 minutes');
+    }
+    const maxDownloads = options['max-downloads'] === undefined ? 1 : Number(options['max-downloads']);
+    if (!Number.isInteger(maxDownloads) || maxDownloads < 0 || maxDownloads > dd.MAX_DOWNLOAD_LIMIT) {
+        fail(`--max-downloads must be a whole number from 0 to ${dd.MAX_DOWNLOAD_LIMIT}`);
+    }
+    const parallelChannels = options.parallel === undefined ? 1 : Number(options.parallel);
+    if (!Number.isInteger(parallelChannels) || parallelChannels < 1 || parallelChannels > dd.MAX_PARALLEL_CHANNELS) {
+        fail(`--parallel must be a whole number from 1 to ${dd.MAX_PARALLEL_CHANNELS}`);
+    }
+    return { linkExpiry, maxDownloads: maxDownloads || null, parallelChannels };
+}
+
+async function send(inputPaths, options) {
+    if (inputPaths.length === 0) fail('Nothing to send\n\n' + USAGE);
+
+    const serverUrl = normalizeServerUrl(options.server || DEFAULT_SERVER);
+    const dd = loadTransferCode(serverUrl);
+    const PeerConnection = loadWebRTC();
+    const settings = parseLinkSettings(dd, options);
+
+    const files = await collectFiles(inputPaths);
+    if (files.length === 0) fail('No files found to send');
+    if (files.length > dd.MAX_MANIFEST_FILES) fail(`Too many files (the limit is ${dd.MAX_MANIFEST_FILES})`);
+
+    const totalSize = files.reduce((sum, entry) => sum + entry.size, 0);
+    if (totalSize > dd.MAX_FILE_SIZE) fail(`Too large to send (the limit is ${dd.formatFileSize(dd.MAX_FILE_SIZE)})`);
+
+    // One lazily read Blob over every file, in manifest order
+    const file = new Blob(await Promise.all(files.map(entry => fs.openAsBlob(entry.fullPath))));
+    const name = files.length === 1 ? path.basename(files[0].fullPath) : getBundleName(inputPaths, files);
+    const manifest = files.length > 1 ? files.map(entry => ({ path: entry.path, size: entry.size })) : null;
+
+    // Same password handling as the page: the server only sees a salted verifier
+    const password = options.password;
+    let passwordVerifier = null;
+    let passwordSalt = null;
+    let transferKey = null;
+    let transferEncryption = null;
+    if (password !== undefined) {
+        passwordSalt = dd.generatePasswordSalt();
+        passwordVerifier = await dd.derivePasswordVerifier(password, passwordSalt);
+        if (!passwordVerifier) fail('Password must be at least 4 characters long');
+    }
+    if (options.encrypt) {
+        if (!passwordVerifier) fail('--encrypt needs a --password to derive the key from');
+        if (password.length < dd.MIN_ENCRYPTION_PASSWORD_LENGTH) fail(`--encrypt needs a password of at least ${dd.MIN_ENCRYPTION_PASSWORD_LENGTH} characters`);
+        const salt = crypto.getRandomValues(new Uint8Array(dd.ENCRYPTION_SALT_LENGTH));
+        transferKey = await dd.deriveTransferKey(password, salt, dd.ENCRYPTION_KDF_ITERATIONS);
+        transferEncryption = { kdf: 'PBKDF2', iterations: dd.ENCRYPTION_KDF_ITERATIONS, salt: dd.bytesToBase64(salt) };
+    }
+
+    const roomId = dd.generateSecureRoomId();
+    let socket;
+    try {
+        socket = await connectSocket(serverUrl);
+    } catch (error) {
+        fail(error.message);
+    }
+
+    const joinResponse = await emitJoinRoom(socket, {
+        roomId,
+        passwordVerifier,
+        passwordSalt,
+        isProtected: !!passwordVerifier,
+        linkExpiry: settings.linkExpiry,
+        maxDownloads: settings.maxDownloads
+    });
+    if (!joinResponse.success) fail(`Failed to create transfer room: ${joinResponse.error}`);
+    const joinRoomData = { roomId, accessToken: joinResponse.ownerToken };
+    let rtcConfig = await loadTurnConfig(serverUrl, roomId, config => { rtcConfig = config; });
+
+    const link = `${serverUrl}/receive/${roomId}`;
+    log(`Sending ${name} (${dd.formatFileSize(totalSize)}${manifest ? `, ${files.length} files` : ''})`);
+    log(`\n  ${link}\n`);
+    require('qrcode-terminal').generate(link, { small: true }, qr => log(qr));
+    const limitText = settings.maxDownloads ? `, ${settings.maxDownloads} download${settings.maxDownloads === 1 ? '' : 's'}` : '';
+    log(`Link works for ${dd.formatTimeout(settings.linkExpiry)}${limitText}. Waiting for recipients...`);
+
+    // Checksums are sent with the file details once ready
+    const integrityPromise = dd.computeFileIntegrity(file);
+
+    const peers = new Map(); // Receiver socket id -> { number, session, transferring, completed, reconnectTimeout }
+    let receiverCount = 0;
+    let completedDownloads = 0;
+    let linkExpired = false;
+
+    function shutdown(code) {
+        clearTimeout(linkExpiryTimeout);
+        peers.forEach(peer => peer.session && peer.session.close());
+        socket.disconnect();
+        setTimeout(() => process.exit(code), CONFIRMATION_GRACE);
+    }
+
+    // Exit once the link can't be used any more and nobody is still downloading
+    function exitIfDone() {
+        const limitReached = settings.maxDownloads && completedDownloads >= settings.maxDownloads;
+        const transferring = Array.from(peers.values()).some(peer => peer.transferring);
+        if ((limitReached || linkExpired) && !transferring) {
+            log(limitReached ? 'Download limit reached, done.' : 'The link has expired, done.');
+            shutdown(0);
+        }
+    }
+
+    const linkExpiryTimeout = setTimeout(() => {
+        linkExpired = true;
+        exitIfDone();
+    }, settings.linkExpiry);
+
+    function handleCompleted(peer, integrity) {
+        if (peer.completed) return; // Confirmation arrives over both the data channel and the server
+        peer.completed = true;
+        peer.transferring = false;
+
+        if (integrity === 'corrupted') {
+            log(`Recipient ${peer.number}: the file arrived corrupted (checksum mismatch).`);
+        } else if (integrity === 'verified' || integrity === 'unverified') {
+            // Counted the same way as the server, which closes the link once the limit is used up
+            completedDownloads++;
+            log(`Recipient ${peer.number}: completed${integrity === 'verified' ? ', SHA-256 checksum verified' : ''}.`);
+        } else {
+            log(`Recipient ${peer.number}: could not save the file.`);
+        }
+        exitIfDone();
+    }
+
+    function stopPeer(peer, message) {
+        peer.transferring = false;
+        clearTimeout(peer.reconnectTimeout);
+        if (peer.session) {
+            peer.session.close();
+            peer.session = null;
+        }
+        log(`Recipient ${peer.number}: ${message}`);
+        exitIfDone();
+    }
+
+    // A receiver that reconnected comes back with a new socket id; its resume names the old one
+    function adoptPreviousPeer(peer, previousId) {
+        const previous = typeof previousId === 'string' ? peers.get(previousId) : null;
+        if (!previous || previous === peer) return;
+
+        clearTimeout(previous.reconnectTimeout);
+        if (previous.session) previous.session.close();
+        peers.delete(previousId);
+        peer.number = previous.number;
+    }
+
+    async function sendFileMeta(peer, session) {
+        let metadata = { name, size: totalSize };
+        if (manifest) metadata.files = manifest;
+
+        const integrity = await integrityPromise;
+        if (integrity) Object.assign(metadata, integrity);
+
+        if (transferKey) {
+            const sealed = await dd.sealMetadata(transferKey, metadata);
+            metadata = { name: dd.ENCRYPTED_FILE_NAME, size: totalSize, encryption: transferEncryption, sealed };
+        }
+        session.sendManifest(metadata);
+    }
+
+    async function connectPeer(peerId) {
+        if (typeof peerId !== 'string') return;
+
+        let peer = peers.get(peerId);
+        if (peer && (peer.completed || (peer.session && peer.session.isOpen()))) {
+            return; // Already has the file, or only rejoined signaling
+        }
+        if (!peer) {
+            peer = { number: ++receiverCount, session: null, transferring: false, completed: false, reconnectTimeout: null };
+            peers.set(peerId, peer);
+            log(`Recipient ${peer.number} joined, connecting...`);
+        }
+        clearTimeout(peer.reconnectTimeout);
+        if (peer.session) {
+            peer.session.close();
+        }
+
+        const session = new dd.TransferSession({
+            role: 'sender',
+            rtcConfig,
+            file,
+            key: transferKey,
+            parallelChannels: settings.parallelChannels,
+            RTCPeerConnection: PeerConnection
+        });
+        peer.session = session;
+        const reportProgress = createProgressReporter(dd, `Recipient ${peer.number}`, totalSize);
+
+        session.on('ice-candidate', candidate => socket.emit('ice-candidate', { roomId, to: peerId, candidate }));
+        session.on('open', () => {
+            sendFileMeta(peer, session).catch(() => stopPeer(peer, 'failed to send file details.'));
+        });
+        session.on('start', () => {
+            log(`Recipient ${peer.number} accepted, sending...`);
+            peer.transferring = true;
+            session.sendFile();
+        });
+        session.on('resume', ({ offset, peerId: previousId, paused }) => {
+            adoptPreviousPeer(peer, previousId);
+            log(`Recipient ${peer.number}: resuming from ${dd.formatFileSize(offset)}`);
+            peer.transferring = true;
+            if (paused) session.setPaused(true); // They paused before the connection dropped
+            session.sendFile(offset);
+        });
+        session.on('pause', ({ paused }) => log(`Recipient ${peer.number} ${paused ? 'paused' : 'resumed'} the transfer`));
+        session.on('progress', reportProgress);
+        session.on('sent', () => log(`Recipient ${peer.number}: all data sent, waiting for confirmation...`));
+        session.on('completed', data => handleCompleted(peer, data.integrity));
+        session.on('cancel', () => stopPeer(peer, 'cancelled the transfer.'));
+        session.on('remote-error', error => stopPeer(peer, `stopped the transfer: ${error.message || error.code}`));
+        session.on('close', () => {
+            if (peer.completed) return;
+            if (!peer.transferring) {
+                stopPeer(peer, 'disconnected.');
+                return;
+            }
+            // A receiver that drops mid-transfer rejoins the room and resumes on a new session
+            log(`Recipient ${peer.number}: connection lost, waiting ${dd.formatTimeout(dd.RECONNECT_GRACE_PERIOD)} for them to reconnect...`);
+            peer.reconnectTimeout = setTimeout(() => stopPeer(peer, 'did not reconnect.'), dd.RECONNECT_GRACE_PERIOD);
+        });
+        session.on('error', (error) => {
+            if (error.code === 'unsupported-version') {
+                stopPeer(peer, error.message);
+                return;
+            }
+            log(`Recipient ${peer.number}: ${error.message}`);
+        });
+
+        session.connect();
+        try {
+            const sdp = await session.createOffer();
+            socket.emit('offer', { roomId, to: peerId, sdp });
+        } catch (error) {
+            stopPeer(peer, 'failed to establish connection.');
+        }
+    }
+
+    socket.on('user-joined', connectPeer);
+    socket.on('answer', (data) => {
+        const peer = peers.get(data && data.from);
+        if (peer && peer.session) {
+            peer.session.acceptAnswer(data.sdp).catch(() => log(`Recipient ${peer.number}: failed to establish connection.`));
+        }
+    });
+    socket.on('ice-candidate', (data) => {
+        const peer = peers.get(data && data.from);
+        if (peer && peer.session) peer.session.addIceCandidate(data.candidate);
+    });
+    socket.on('transfer-confirmed', (data) => {
+        const peer = peers.get(data && data.from);
+        if (peer) handleCompleted(peer, data.integrity);
+    });
+
+    // After a signaling reconnect the server sees a new socket - rejoin and reach everyone again
+    socket.io.on('reconnect', async () => {
+        const response = await emitJoinRoom(socket, joinRoomData);
+        if (response.success) {
+            (response.peerIds || []).forEach(connectPeer);
+        }
+    });
+    socket.on('disconnect', (reason) => {
+        if (reason !== 'io client disconnect') log('Lost connection to the signaling server, reconnecting...');
+    });
+
+    process.on('SIGINT', () => {
+        log('Stopped.');
+        shutdown(130);
+    });
+}
+
+// --- Receive ---
+// A full /receive/:roomId link carries its own server; a bare room ID uses --server
+function parseReceiveTarget(target, server) {
+    if (/^[a-z0-9]{8,15}$/i.test(target)) {
+        return { serverUrl: normalizeServerUrl(server || DEFAULT_SERVER), roomId: target };
+    }
+    let url;
+    try {
+        url = new URL(target);
+    } catch (error) {
+        fail(`Not a transfer link or room ID: ${target}`);
+    }
+    const match = url.pathname.match(/^\/receive\/([a-z0-9]{8,15})$/i);
+    if (!match) fail(`Not a transfer link: ${target}`);
+    return { serverUrl: url.origin, roomId: match[1] };
+}
+
+// Never let a sender-supplied path climb out of the output folder
+function sanitizePathParts(filePath, index) {
+    const parts = filePath.split(/[\\/]/).filter(part => part && part !== '.' && part !== '..');
+    return parts.length > 0 ? parts : [`file-${index + 1}`];
+}
+
+// Refuses to overwrite: 'wx' fails when the file is already there
+async function openOutputFile(outputDir, parts) {
+    const filePath = path.join(outputDir, ...parts);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+        return await fs.promises.open(filePath, 'wx');
+    } catch (error) {
+        throw new Error(error.code === 'EEXIST' ? `${filePath} already exists` : error.message);
+    }
+}
+
+// A single file is written at each chunk's offset; a multi-file transfer is split into its
+// files from the in-order byte stream
+async function createOutputWriter(metadata, outputDir) {
+    if (!metadata.files) {
+        const handle = await openOutputFile(outputDir, sanitizePathParts(metadata.name, 0).slice(-1));
+        return {
+            writeAt: (position, data) => handle.write(new Uint8Array(data), 0, data.byteLength, position),
+            append: async () => {},
+            close: () => handle.close()
+        };
+    }
+
+    const files = metadata.files;
+    let index = 0;
+    let written = 0;
+    let handle = null;
+    let queue = Promise.resolve();
+
+    // Called with no bytes at the end to create any trailing empty files
+    async function writeBytes(bytes) {
+        let offset = 0;
+        while (index < files.length) {
+            const entry = files[index];
+            if (!handle) {
+                if (entry.size > 0 && offset >= bytes.length) break; // Wait for more data
+                handle = await openOutputFile(outputDir, sanitizePathParts(entry.path, index));
+                written = 0;
+            }
+
+            const take = Math.min(entry.size - written, bytes.length - offset);
+            if (take > 0) {
+                await handle.write(bytes, offset, take);
+                written += take;
+                offset += take;
+            }
+
+            if (written === entry.size) {
+                await handle.close();
+                handle = null;
+                index++;
+                continue;
+            }
+            if (offset >= bytes.length) break;
+        }
+    }
+
+    return {
+        writeAt: null,
+        append: (data) => {
+            queue = queue.then(() => writeBytes(new Uint8Array(data)));
+            return queue;
+        },
+        close: () => {
+            queue = queue.then(() => writeBytes(new Uint8Array(0)));
+            return queue;
+        }
+    };
+}
+
+async function receive(target, options) {
+    if (!target) fail('Missing link or room ID\n\n' + USAGE);
+
+    const { serverUrl, roomId } = parseReceiveTarget(target, options.server);
+    const dd = loadTransferCode(serverUrl);
+    const PeerConnection = loadWebRTC();
+    const outputDir = path.resolve(options.output || '.');
+    const password = options.password;
+
+    let socket;
+    try {
+        socket = await connectSocket(serverUrl);
+    } catch (error) {
+        fail(error.message);
+    }
+
+    // Check the link, answering the password challenge for protected rooms
+    socket.emit('check-room', { roomId });
+    const check = await waitForEvent(socket, ['room-info', 'room-not-found', 'room-expired', 'invalid-message']);
+    if (check.event === 'invalid-message') {
+        fail(check.data.code === 'rate-limited'
+            ? `Too many requests. Try again in ${dd.formatTimeout(check.data.retryAfter)}.`
+            : `The server rejected the link check: ${check.data.error}`);
+    }
+    if (check.event === 'room-expired') {
+        fail(check.data && check.data.reason === 'download-limit'
+            ? 'This transfer link has reached its download limit.'
+            : 'This transfer link has expired. Ask the sender for a new one.');
+    }
+    if (check.event === 'room-not-found' || !check.data.exists) fail('Transfer link is invalid or expired');
+    if (check.data.direction === 'request') fail('This is a request for files, open it in a browser to send them');
+
+    let accessToken = null;
+    if (check.data.isProtected) {
+        if (password === undefined) fail('This link is password protected, use --password');
+        const proof = await dd.computePasswordProof(password, check.data.salt, check.data.nonce);
+        if (!proof) fail('Incorrect password');
+        socket.emit('verify-password', { roomId, proof });
+        const { data: result } = await waitForEvent(socket, ['password-verified']);
+        if (result.rateLimited) fail('Too many attempts. Please wait a minute and try again.');
+        if (result.locked) fail(`Too many incorrect attempts. Try again in ${dd.formatTimeout(result.retryAfter)}.`);
+        if (!result.valid) fail('Incorrect password');
+        accessToken = result.accessToken;
+    }
+
+    const rtcConfig = await loadTurnConfig(serverUrl, roomId);
+    const session = new dd.TransferSession({ role: 'receiver', rtcConfig, RTCPeerConnection: PeerConnection });
+    let senderId = null;
+    let receivingFile = null;
+    let writer = null;
+    let hasher = null;
+    let receivedSize = 0;
+    let finished = false;
+
+    function stop(message) {
+        if (finished) return;
+        finished = true;
+        session.close();
+        socket.disconnect();
+        fail(message);
+    }
+
+    async function finish() {
+        finished = true;
+        let integrity = 'unverified';
+        try {
+            await writer.close();
+            if (hasher && receivingFile.sha256) {
+                const result = await hasher.digest();
+                const verified = result.sha256 === receivingFile.sha256 &&
+                    (!receivingFile.chunkHashChain || result.chunkHashChain === receivingFile.chunkHashChain);
+                integrity = verified ? 'verified' : 'corrupted';
+            }
+        } catch (error) {
+            finished = false;
+            stop(`Error saving the files: ${error.message}`);
+            return;
+        }
+
+        session.sendControl({ type: 'completed', integrity });
+        socket.emit('transfer-confirmed', { roomId, to: senderId, integrity, bytes: receivingFile.size });
+
+        const saved = receivingFile.files ? `${receivingFile.files.length} files into ${outputDir}` : `"${receivingFile.name}" into ${outputDir}`;
+        if (integrity === 'corrupted') {
+            log(`Saved ${saved}, but the SHA-256 checksum does not match the sender's. Ask them to send it again.`);
+        } else {
+            log(`Saved ${saved}${integrity === 'verified' ? ' (SHA-256 verified)' : ''}.`);
+        }
+        setTimeout(() => {
+            session.close();
+            socket.disconnect();
+            process.exit(integrity === 'corrupted' ? 1 : 0);
+        }, CONFIRMATION_GRACE);
+    }
+
+    async function handleFileMeta(metadata) {
+        if (receivingFile) return; // Re-announced after a reconnect
+
+        let key = null;
+        if (metadata.encryption) {
+            if (password === undefined) stop('This transfer is encrypted, use --password');
+            try {
+                const { salt, iterations } = metadata.encryption;
+                key = await dd.deriveTransferKey(password, dd.base64ToBytes(salt), iterations);
+                const fields = await dd.openSealedMetadata(key, metadata.sealed);
+                metadata = { ...fields, size: metadata.size, encryption: metadata.encryption };
+            } catch (error) {
+                stop('Could not decrypt the file details. The password may be wrong.');
+                return;
+            }
+        }
+
+        if (typeof metadata.name !== 'string' || !Number.isInteger(metadata.size) ||
+            metadata.size < 0 || metadata.size > dd.MAX_FILE_SIZE) {
+            stop('The sender provided invalid file details');
+            return;
+        }
+        if (metadata.files && !dd.isValidManifest(metadata.files, metadata.size)) {
+            stop('The sender provided an invalid file list');
+            return;
+        }
+
+        receivingFile = metadata;
+        log(`Receiving ${metadata.name} (${dd.formatFileSize(metadata.size)}${metadata.files ? `, ${metadata.files.length} files` : ''})`);
+
+        try {
+            writer = await createOutputWriter(metadata, outputDir);
+        } catch (error) {
+            session.fail('write-failed', error.message);
+            return;
+        }
+        hasher = metadata.sha256 ? dd.createFileHasher(metadata.hashBlockSize || dd.CHUNK_SIZE) : null;
+        session.receive({ size: metadata.size, key, writeAt: writer.writeAt });
+        session.sendControl({ type: 'start' });
+
+        if (metadata.size === 0) {
+            finish();
+        }
+    }
+
+    let progressReporter = null;
+
+    session.on('ice-candidate', candidate => socket.emit('ice-candidate', { roomId, to: senderId, candidate }));
+    session.on('ice-state', (state) => {
+        if (state === 'failed') stop('Connection failed');
+    });
+    session.on('manifest', handleFileMeta);
+    session.on('data', async (data) => {
+        if (hasher) hasher.update(data);
+        if (!writer.writeAt) {
+            try {
+                await writer.append(data);
+            } catch (error) {
+                session.fail('write-failed', error.message);
+                return;
+            }
+        }
+        receivedSize += data.byteLength;
+        if (!progressReporter) progressReporter = createProgressReporter(dd, 'Receiving', receivingFile.size);
+        progressReporter(receivedSize);
+        session.acknowledge(receivedSize);
+
+        if (receivedSize >= receivingFile.size && !finished) {
+            finish();
+        }
+    });
+    session.on('pause', ({ paused }) => log(paused ? 'Paused by the sender' : 'Sender resumed the transfer'));
+    session.on('cancel', () => stop('Transfer cancelled by sender'));
+    session.on('remote-error', error => stop(error.message || 'The sender stopped the transfer'));
+    session.on('close', () => {
+        if (!finished) stop('Connection closed by sender');
+    });
+    session.on('error', error => stop(error.message));
+    session.connect();
+
+    socket.on('offer', async (data) => {
+        if (session.pc.signalingState !== 'stable') return;
+        senderId = data.from || null;
+        try {
+            const sdp = await session.acceptOffer(data.sdp);
+            if (sdp) socket.emit('answer', { roomId, to: senderId, sdp });
+        } catch (error) {
+            stop('Failed to establish connection');
+        }
+    });
+    socket.on('ice-candidate', data => session.addIceCandidate(data.candidate));
+    socket.on('user-left', (data) => {
+        // Other receivers of the same link come and go - only the sender matters here
+        if (data && data.isSender !== false && !session.isOpen() && !finished) {
+            stop('The sender left before the transfer could begin');
+        }
+    });
+
+    const joinResponse = await emitJoinRoom(socket, { roomId, accessToken });
+    if (!joinResponse.success) stop(joinResponse.error || 'Could not join the transfer');
+    log('Connecting to the sender...');
+
+    process.on('SIGINT', () => {
+        session.sendControl({ type: 'cancel' });
+        stop('Transfer cancelled');
+    });
+}
+
+// --- Entry point ---
+function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                server: { type: 'string' },
+                password: { type: 'string' },
+                encrypt: { type: 'boolean' },
+                expiry: { type: 'string' },
+                'max-downloads': { type: 'string' },
+                parallel: { type: 'string' },
+                output: { type: 'string' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        fail(`${error.message}\n\n${USAGE}`);
+    }
+
+    const [command, ...args] = parsed.positionals;
+    if (parsed.values.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+
+    let run;
+    if (command === 'send') {
+        run = send(args, parsed.values);
+    } else if (command === 'receive') {
+        run = receive(args[0], parsed.values);
+    } else {
+        fail(`Unknown command "${command}"\n\n${USAGE}`);
+    }
+    run.catch(error => fail(error.message));
+}
+
+main();
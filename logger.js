@@ -0,0 +1,83 @@
+// Structured logging for the signaling server.
+//
+// Each entry is one JSON line on stdout (stderr for warn and error):
+//   {"time":"2024-05-01T12:00:00.000Z","level":"info","msg":"User joined room","socket":"…","room":"9c1e2f0a7b3d"}
+// Configured by env:
+//   LOG_LEVEL      debug | info (default) | warn | error | silent
+//   LOG_FORMAT     json (default) | text - a readable line per entry for local development
+//   LOG_HASH_SALT  secret mixed into hashed ids. Defaults to a random value per process, so hashes
+//                  correlate the lines of one run but can't be matched against links later.
+//
+// Room ids are the secret part of a transfer link, so a `roomId` field is logged as a hash under
+// `room`, client IPs are hashed the same way, and fields that carry credentials are masked.
+// child(fields) returns a logger that adds fields (a socket or request id) to every entry.
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const HASHED_FIELDS = { roomId: 'room', ip: 'ip' };
+const REDACTED_FIELDS = new Set(['password', 'proof', 'token', 'accessToken', 'ownerToken', 'passwordVerifier', 'sdp', 'candidate']);
+
+function createLogger({
+    level = process.env.LOG_LEVEL,
+    format = process.env.LOG_FORMAT,
+    salt = process.env.LOG_HASH_SALT || crypto.randomBytes(16).toString('hex'),
+    stdout = process.stdout,
+    stderr = process.stderr
+} = {}) {
+    const threshold = LEVELS[level] === undefined ? LEVELS.info : LEVELS[level];
+
+    function hashId(value) {
+        return crypto.createHmac('sha256', salt).update(String(value)).digest('hex').slice(0, 12);
+    }
+
+    function prepare(fields) {
+        const entry = {};
+        for (const [key, value] of Object.entries(fields)) {
+            if (value === undefined) continue;
+            if (HASHED_FIELDS[key]) {
+                entry[HASHED_FIELDS[key]] = value === null ? null : hashId(value);
+            } else if (REDACTED_FIELDS.has(key)) {
+                entry[key] = '[redacted]';
+            } else if (value instanceof Error) {
+                entry[key] = value.code ? `${value.message} (${value.code})` : value.message;
+            } else {
+                entry[key] = value;
+            }
+        }
+        return entry;
+    }
+
+    function write(levelName, msg, context, fields) {
+        if (LEVELS[levelName] < threshold) {
+            return;
+        }
+        const entry = { time: new Date().toISOString(), level: levelName, msg, ...context, ...prepare(fields || {}) };
+        let line;
+        if (format === 'text') {
+            const { time, level: entryLevel, msg: message, ...rest } = entry;
+            const details = Object.entries(rest).map(([key, value]) => `${key}=${JSON.stringify(value)}`).join(' ');
+            line = `${time} ${entryLevel.toUpperCase()} ${message}${details ? ` ${details}` : ''}\n`;
+        } else {
+            line = JSON.stringify(entry) + '\n';
+        }
+        (LEVELS[levelName] >= LEVELS.warn ? stderr : stdout).write(line);
+    }
+
+    function bind(context) {
+        return {
+            debug: (msg, fields) => write('debug', msg, context, fields),
+            info: (msg, fields) => write('info', msg, context, fields),
+            warn: (msg, fields) => write('warn', msg, context, fields),
+            error: (msg, fields) => write('error', msg, context, fields),
+            child: fields => bind({ ...context, ...prepare(fields) }),
+            hashId
+        };
+    }
+
+    return bind({});
+}
+
+// The process-wide logger, configured from env
+const logger = createLogger();
+
+module.exports = { logger, createLogger };
@@ -0,0 +1,82 @@
+// Operational metrics for the signaling server.
+//
+// server.js builds a snapshot from its live state as a list of
+//   { name, help, type: 'gauge'|'counter', samples: [{ labels: { name: value }, value }] }
+// and serves it as Prometheus text (GET /metrics) or as the /admin page.
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels || {});
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Prometheus text exposition format, version 0.0.4
+function formatPrometheus(metrics) {
+    const lines = [];
+    for (const metric of metrics) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        for (const sample of metric.samples) {
+            lines.push(`${metric.name}${formatLabels(sample.labels)} ${sample.value}`);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+// A plain table of the same snapshot, refreshed every few seconds
+function renderAdminPage(metrics, generatedAt = new Date()) {
+    const rows = metrics.map(metric => {
+        const samples = metric.samples.length > 0 ? metric.samples : [{ labels: {}, value: 0 }];
+        return samples.map((sample, index) => `
+            <tr>
+                ${index === 0 ? `<td rowspan="${samples.length}" title="${escapeHtml(metric.name)}">${escapeHtml(metric.help)}</td>` : ''}
+                <td>${escapeHtml(Object.entries(sample.labels || {}).map(([name, value]) => `${name}=${value}`).join(', '))}</td>
+                <td class="value">${escapeHtml(sample.value)}</td>
+            </tr>`).join('');
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex, nofollow">
+    <meta http-equiv="refresh" content="10">
+    <title>DirectDrop - Server status</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 2rem; color: #333; }
+        table { border-collapse: collapse; min-width: 480px; }
+        th, td { border-bottom: 1px solid #e0e0e0; padding: 6px 12px; text-align: left; vertical-align: top; }
+        td.value { text-align: right; font-variant-numeric: tabular-nums; }
+        .updated { color: #777; font-size: 0.9rem; }
+    </style>
+</head>
+<body>
+    <h1>Server status</h1>
+    <p class="updated">Updated ${escapeHtml(generatedAt.toISOString())}. Totals count since the server started. Also available as <a href="/metrics">Prometheus metrics</a>.</p>
+    <table>
+        <thead><tr><th>Metric</th><th>Labels</th><th>Value</th></tr></thead>
+        <tbody>${rows}
+        </tbody>
+    </table>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    formatPrometheus,
+    renderAdminPage
+};
@@ -0,0 +1,130 @@
+// Abuse protection for the signaling server.
+//
+// Token buckets: each key (an IP or a socket id) holds up to `capacity` tokens that refill at
+// `refillPerMinute`; every request spends one, so short bursts pass but a steady flood doesn't.
+// Ban list: keys that keep hitting the limits get strikes, and too many strikes in `window`
+// shut them out for `duration`.
+// Client IPs: X-Forwarded-For is only believed when the connection comes from a proxy listed
+// in TRUSTED_PROXIES (comma-separated addresses, "loopback" for a proxy on the same host).
+
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1'];
+
+function createTokenBuckets({ capacity, refillPerMinute }) {
+    const buckets = new Map(); // key -> { tokens, updatedAt }
+    const refillPerMs = refillPerMinute / 60000;
+
+    function refill(key, now) {
+        const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+        bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+        bucket.updatedAt = now;
+        buckets.set(key, bucket);
+        return bucket;
+    }
+
+    return {
+        // Milliseconds until key has a token to spend (0 when it has one now)
+        wait(key, now = Date.now()) {
+            const bucket = refill(key, now);
+            return bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs);
+        },
+        // Spend a token; returns 0 when allowed, otherwise how long to wait before retrying
+        take(key, now = Date.now()) {
+            const retryAfter = this.wait(key, now);
+            if (!retryAfter) {
+                buckets.get(key).tokens -= 1;
+            }
+            return retryAfter;
+        },
+        delete(key) {
+            buckets.delete(key);
+        },
+        // Forget buckets that have filled up again; they behave exactly like new ones
+        prune(now = Date.now()) {
+            for (const [key, bucket] of buckets) {
+                if (bucket.tokens + (now - bucket.updatedAt) * refillPerMs >= capacity) {
+                    buckets.delete(key);
+                }
+            }
+        }
+    };
+}
+
+function createBanList({ strikes, window, duration }) {
+    const offenders = new Map(); // key -> { count, firstStrike, bannedUntil }
+
+    return {
+        // Milliseconds left on key's ban (0 when it isn't banned)
+        bannedFor(key, now = Date.now()) {
+            const offender = offenders.get(key);
+            return offender && offender.bannedUntil > now ? offender.bannedUntil - now : 0;
+        },
+        // Record a strike against key; returns true when this one gets it banned
+        strike(key, now = Date.now()) {
+            let offender = offenders.get(key);
+            if (!offender || now - offender.firstStrike > window) {
+                offender = { count: 0, firstStrike: now, bannedUntil: 0 };
+                offenders.set(key, offender);
+            }
+            if (offender.bannedUntil > now) {
+                return false;
+            }
+            offender.count++;
+            if (offender.count < strikes) {
+                return false;
+            }
+            offender.bannedUntil = now + duration;
+            offender.count = 0;
+            offender.firstStrike = now;
+            return true;
+        },
+        // Number of keys currently banned
+        count(now = Date.now()) {
+            let banned = 0;
+            for (const offender of offenders.values()) {
+                if (offender.bannedUntil > now) banned++;
+            }
+            return banned;
+        },
+        prune(now = Date.now()) {
+            for (const [key, offender] of offenders) {
+                if (offender.bannedUntil <= now && now - offender.firstStrike > window) {
+                    offenders.delete(key);
+                }
+            }
+        }
+    };
+}
+
+// IPv4 peers of a dual-stack server show up as ::ffff:1.2.3.4
+function normalizeAddress(address) {
+    const trimmed = String(address || '').trim();
+    return trimmed.startsWith('::ffff:') && trimmed.includes('.') ? trimmed.slice(7) : trimmed;
+}
+
+function parseTrustedProxies(value) {
+    return String(value || '').split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .flatMap(entry => entry === 'loopback' ? LOOPBACK_ADDRESSES : [normalizeAddress(entry)]);
+}
+
+// Walk X-Forwarded-For from the right, skipping proxies we trust; the first address we don't
+// trust is the client. Anything further left was written by the client and can't be believed.
+function getClientIp(remoteAddress, forwardedFor, trustedProxies) {
+    let clientIp = normalizeAddress(remoteAddress);
+    if (!forwardedFor || !trustedProxies.includes(clientIp)) {
+        return clientIp;
+    }
+    const hops = String(forwardedFor).split(',').map(normalizeAddress).filter(Boolean);
+    while (hops.length > 0 && trustedProxies.includes(clientIp)) {
+        clientIp = hops.pop();
+    }
+    return clientIp;
+}
+
+module.exports = {
+    createTokenBuckets,
+    createBanList,
+    parseTrustedProxies,
+    getClientIp
+};
@@ -0,0 +1,145 @@
+// Room registry storage for the signaling server.
+//
+// server.js only talks to rooms through collections with an async interface:
+//   get(id) -> value|undefined, set(id, value), delete(id), entries() -> [[id, value], ...]
+//
+// ROOM_STORE selects the implementation:
+//   memory (default) - rooms live in this process and are lost on restart
+//   file             - rooms are also written to ROOM_STORE_FILE (default ./data/rooms.json)
+//                      so pending links survive a restart. One instance per file. The file holds
+//                      password verifiers and owner tokens; server.js never serves it or ./data.
+//
+// Neither is shared between processes, and running more than one signaling instance is not
+// supported. A shared store alone wouldn't be enough: handlers read, change and write rooms
+// without locking, and the server keeps per-process state next to them (connected sockets,
+// password challenges, rate limits, the timers that retire empty rooms).
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const FILE_WRITE_DELAY = 250; // Batch bursts of changes into one write
+
+function createMemoryStore() {
+    const collections = new Map();
+
+    return {
+        collection(name) {
+            if (!collections.has(name)) {
+                collections.set(name, createMemoryCollection(new Map()));
+            }
+            return collections.get(name);
+        },
+        async close() {}
+    };
+}
+
+function createMemoryCollection(items, onChange = () => {}) {
+    return {
+        async get(id) {
+            return items.get(id);
+        },
+        async set(id, value) {
+            items.set(id, value);
+            onChange();
+        },
+        async delete(id) {
+            if (items.delete(id)) {
+                onChange();
+            }
+        },
+        async entries() {
+            return Array.from(items.entries());
+        }
+    };
+}
+
+// Keeps everything in memory like the memory store and snapshots it to a JSON file.
+// Values are converted with each collection's codec ({ serialize, deserialize }).
+function createFileStore(filePath) {
+    const collections = new Map(); // name -> { items: Map, codec, collection }
+    let saved = {};
+    let writeTimer = null;
+
+    try {
+        saved = JSON.parse(fs.readFileSync(filePath, 'utf8')).collections || {};
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error('Could not read room store file, starting empty', { error });
+        }
+    }
+
+    function scheduleWrite() {
+        if (writeTimer) return;
+        writeTimer = setTimeout(() => {
+            writeTimer = null;
+            writeNow();
+        }, FILE_WRITE_DELAY);
+    }
+
+    function writeNow() {
+        const snapshot = { ...saved };
+        collections.forEach(({ items, codec }, name) => {
+            const serialized = {};
+            items.forEach((value, id) => {
+                serialized[id] = codec.serialize(value);
+            });
+            snapshot[name] = serialized;
+        });
+
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            // Write then rename so a crash mid-write never leaves a truncated file
+            const tempPath = `${filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify({ version: 1, collections: snapshot }));
+            fs.renameSync(tempPath, filePath);
+        } catch (error) {
+            logger.error('Could not write room store file', { error });
+        }
+    }
+
+    return {
+        collection(name, codec = { serialize: value => value, deserialize: value => value }) {
+            if (!collections.has(name)) {
+                const items = new Map();
+                Object.entries(saved[name] || {}).forEach(([id, value]) => {
+                    items.set(id, codec.deserialize(value));
+                });
+                collections.set(name, { items, codec, collection: createMemoryCollection(items, scheduleWrite) });
+            }
+            return collections.get(name).collection;
+        },
+        async close() {
+            if (writeTimer) {
+                clearTimeout(writeTimer);
+                writeTimer = null;
+            }
+            writeNow();
+        }
+    };
+}
+
+const DATA_DIRECTORY = path.join(__dirname, 'data');
+
+// Where ROOM_STORE=file keeps rooms, or null for the other stores
+function getRoomStoreFile(env = process.env) {
+    if (env.ROOM_STORE !== 'file') {
+        return null;
+    }
+    return path.resolve(env.ROOM_STORE_FILE || path.join(DATA_DIRECTORY, 'rooms.json'));
+}
+
+function createRoomStore(env = process.env) {
+    const type = env.ROOM_STORE || 'memory';
+
+    if (type === 'memory') {
+        return createMemoryStore();
+    }
+    if (type === 'file') {
+        const filePath = getRoomStoreFile(env);
+        logger.info('Room store: file', { path: filePath });
+        return createFileStore(filePath);
+    }
+    throw new Error(`Unknown ROOM_STORE "${type}" (expected "memory" or "file")`);
+}
+
+module.exports = { createRoomStore, getRoomStoreFile, DATA_DIRECTORY };
@@ -1,8 +1,15 @@
 const express = require('express');
 const http = require('http');
 const path = require('path'); // Import path module
+const crypto = require('crypto');
 const { Server } = require('socket.io');
 const { writeSitemap } = require('./generate-sitemap'); // Import sitemap generator
+const { createRoomStore, getRoomStoreFile, DATA_DIRECTORY } = require('./room-store');
+const { validateEvent, isValidRoomId, isValidHex, EVENT_NAMES } = require('./socket-schemas');
+const { createTokenBuckets, createBanList, parseTrustedProxies, getClientIp } = require('./rate-limit');
+const { formatPrometheus, renderAdminPage } = require('./metrics');
+const { logger } = require('./logger');
+const { createTurnCredentials, DEFAULT_TURN_CREDENTIAL_TTL } = require('./turn-credentials');
 
 // Load environment variables
 require('dotenv').config();
@@ -10,19 +17,58 @@ require('dotenv').config();
 const app = express();
 const server = http.createServer(app);
 
-// Rate limiting configuration
-const connectionCounts = new Map(); // Track connections per IP
+// Rate limiting configuration (see rate-limit.js). Behind a reverse proxy, list it in TRUSTED_PROXIES
+// so limits apply to the client address from X-Forwarded-For rather than to the proxy.
+const TRUSTED_PROXIES = parseTrustedProxies(process.env.TRUSTED_PROXIES);
+if (TRUSTED_PROXIES.length > 0) {
+    app.set('trust proxy', TRUSTED_PROXIES);
+}
 const RATE_LIMIT_WINDOW = 60000; // 1 minute
-const MAX_CONNECTIONS_PER_IP = 10;
+const connectionLimits = createTokenBuckets({ capacity: 10, refillPerMinute: 10 }); // New sockets per IP
+
+// The events that look rooms up get a bucket per socket and a larger one per IP
+const EVENT_RATE_LIMITS = {
+    'check-room': {
+        perSocket: createTokenBuckets({ capacity: 10, refillPerMinute: 10 }),
+        perIp: createTokenBuckets({ capacity: 30, refillPerMinute: 30 })
+    },
+    'verify-password': {
+        perSocket: createTokenBuckets({ capacity: 5, refillPerMinute: 5 }),
+        perIp: createTokenBuckets({ capacity: 20, refillPerMinute: 20 })
+    },
+    'join-room': {
+        perSocket: createTokenBuckets({ capacity: 10, refillPerMinute: 10 }),
+        perIp: createTokenBuckets({ capacity: 30, refillPerMinute: 30 })
+    }
+};
+
+// TURN credential requests per IP
+const turnConfigLimits = createTokenBuckets({ capacity: 20, refillPerMinute: 20 });
+
+// Lookups of room IDs that don't exist, per IP. Once they run out the IP gets no answers at all,
+// so guessing IDs can't tell live links from dead ones.
+const roomLookupMisses = createTokenBuckets({ capacity: 10, refillPerMinute: 2 });
+
+// IPs that keep running into the limits are turned away entirely for a while
+const bans = createBanList({ strikes: 20, window: 10 * 60 * 1000, duration: 15 * 60 * 1000 });
+
+// Requests refused by the limits, by event ('connection' for new sockets)
+const rateLimitedRequests = new Map();
+
+function countRateLimited(event) {
+    rateLimitedRequests.set(event, (rateLimitedRequests.get(event) || 0) + 1);
+}
 
 // Clean up old rate limit entries
 setInterval(() => {
-    const now = Date.now();
-    for (const [ip, data] of connectionCounts.entries()) {
-        if (now - data.firstConnection > RATE_LIMIT_WINDOW) {
-            connectionCounts.delete(ip);
-        }
+    connectionLimits.prune();
+    roomLookupMisses.prune();
+    turnConfigLimits.prune();
+    for (const limits of Object.values(EVENT_RATE_LIMITS)) {
+        limits.perSocket.prune();
+        limits.perIp.prune();
     }
+    bans.prune();
 }, RATE_LIMIT_WINDOW);
 
 const io = new Server(server, {
@@ -46,6 +92,25 @@ const io = new Server(server, {
 
 const PORT = process.env.PORT || 3000;
 
+// Give every HTTP request a correlation id (kept from X-Request-Id when a proxy set one) and a logger that carries it
+app.use((req, res, next) => {
+    const incomingId = req.get('x-request-id');
+    req.id = incomingId && /^[A-Za-z0-9._-]{1,64}$/.test(incomingId) ? incomingId : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.setHeader('X-Request-Id', req.id);
+    res.on('finish', () => {
+        // Transfer links carry the room id in the path; it is logged hashed like everywhere else
+        const [, page, roomId] = req.path.match(/^\/(receive|send)\/([^/]+)/) || [];
+        req.log.debug('HTTP request', {
+            method: req.method,
+            path: page ? `/${page}/:roomId` : req.path,
+            roomId,
+            status: res.statusCode
+        });
+    });
+    next();
+});
+
 // Add CORS middleware specifically for Socket.io endpoints
 // Disable caching for HTML/JS/CSS files in development
 app.use((req, res, next) => {
@@ -79,11 +144,36 @@ app.use((req, res, next) => {
 
     res.setHeader(
         'Content-Security-Policy',
-        `default-src 'self'; script-src 'self' https://cdnjs.cloudflare.com 'unsafe-inline'; style-src 'self' 'unsafe-inline' https://fonts.googleapis.com https://cdnjs.cloudflare.com; font-src 'self' https://fonts.gstatic.com https://cdnjs.cloudflare.com; connect-src ${connectSrc}; img-src 'self' data:;`
+        `default-src 'self'; script-src 'self' https://cdnjs.cloudflare.com 'unsafe-inline'; style-src 'self' 'unsafe-inline' https://fonts.googleapis.com https://cdnjs.cloudflare.com; font-src 'self' https://fonts.gstatic.com https://cdnjs.cloudflare.com; connect-src ${connectSrc}; img-src 'self' data:; media-src 'self' blob:; worker-src 'self' blob:;`
     );
     next();
 });
 
+// The room store file holds password verifiers and owner tokens, which would let anyone skip a
+// link's password or take over its sender: ./data and the file (wherever it is) are never served
+// (compared case-insensitively, for case-insensitive filesystems).
+const PRIVATE_DIRECTORY = DATA_DIRECTORY.toLowerCase();
+const PRIVATE_FILES = getRoomStoreFile() ? [getRoomStoreFile(), `${getRoomStoreFile()}.tmp`].map(file => file.toLowerCase()) : [];
+
+function isPrivatePath(filePath) {
+    const normalized = filePath.toLowerCase();
+    return normalized === PRIVATE_DIRECTORY || normalized.startsWith(PRIVATE_DIRECTORY + path.sep) ||
+        PRIVATE_FILES.includes(normalized);
+}
+
+app.use((req, res, next) => {
+    let requestPath;
+    try {
+        requestPath = decodeURIComponent(req.path);
+    } catch (error) {
+        return next(); // express.static turns malformed paths away itself
+    }
+    if (isPrivatePath(path.join(__dirname, requestPath))) {
+        return res.status(404).send('Not found');
+    }
+    next();
+});
+
 // Serve static files (e.g., socket.io.js)
 app.use(express.static(path.join(__dirname)));
 
@@ -146,8 +236,41 @@ app.get('/receive/:roomId', (req, res) => {
     res.sendFile(path.join(__dirname, 'receive.html'));
 });
 
+// File requests: the requester creates the link on the receive page, whoever opens it sends from the home page
+app.get('/request(|/)', (req, res) => {
+    res.sendFile(path.join(__dirname, 'receive.html'));
+});
+
+app.get('/send/:roomId', (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+// TURN credentials are minted per request (see turn-credentials.js); TURN_CREDENTIAL_TTL is in seconds
+const TURN_CREDENTIAL_TTL = (parseInt(process.env.TURN_CREDENTIAL_TTL, 10) * 1000) || DEFAULT_TURN_CREDENTIAL_TTL;
+
+if (process.env.TURN_SERVER_USERNAME || process.env.TURN_SERVER_PASSWORD) {
+    logger.warn('TURN_SERVER_USERNAME/TURN_SERVER_PASSWORD are no longer served to clients; set TURN_SECRET to the coturn static-auth-secret instead');
+}
+
 // Secure TURN server configuration endpoint
-app.get('/api/turn-config', (req, res) => {
+// Only handed out for rooms that exist; unknown ids count as lookup misses like check-room's
+app.get('/api/turn-config', async (req, res) => {
+    const retryAfter = bans.bannedFor(req.ip) || turnConfigLimits.take(req.ip) || roomLookupMisses.wait(req.ip);
+    if (retryAfter) {
+        countRateLimited('turn-config');
+        res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+        return res.status(429).json({ error: 'Too many requests' });
+    }
+
+    const roomId = req.query.roomId;
+    if (!isValidRoomId(roomId)) {
+        return res.status(400).json({ error: 'Invalid room ID' });
+    }
+    if (!await rooms.get(roomId)) {
+        roomLookupMisses.take(req.ip);
+        return res.status(404).json({ error: 'Room not found' });
+    }
+
     // Base configuration with STUN servers
     const turnConfig = {
         iceServers: [
@@ -157,275 +280,823 @@ app.get('/api/turn-config', (req, res) => {
         iceCandidatePoolSize: 10
     };
 
-    // Add TURN servers if credentials are available in environment
-    if (process.env.TURN_SERVER_URL && process.env.TURN_SERVER_USERNAME && process.env.TURN_SERVER_PASSWORD) {
-        // Add UDP TURN server
-        turnConfig.iceServers.push({
-            urls: process.env.TURN_SERVER_URL,
-            username: process.env.TURN_SERVER_USERNAME,
-            credential: process.env.TURN_SERVER_PASSWORD
-        });
+    // Add TURN servers with short-lived credentials if the shared secret is configured
+    if (process.env.TURN_SERVER_URL && process.env.TURN_SECRET) {
+        const { username, credential, expiresAt } = createTurnCredentials(process.env.TURN_SECRET, roomId, TURN_CREDENTIAL_TTL);
+        const urls = [process.env.TURN_SERVER_URL];
 
         // Add TLS TURN server if available
         if (process.env.TURN_SERVER_TLS_URL) {
-            turnConfig.iceServers.push({
-                urls: process.env.TURN_SERVER_TLS_URL,
-                username: process.env.TURN_SERVER_USERNAME,
-                credential: process.env.TURN_SERVER_PASSWORD
-            });
+            urls.push(process.env.TURN_SERVER_TLS_URL);
         }
 
-        console.log('TURN server configuration loaded successfully');
-    } else {
-        console.log('TURN server credentials not found, using STUN-only configuration');
+        turnConfig.iceServers.push({ urls, username, credential });
+        turnConfig.expiresAt = expiresAt;
     }
 
+    signalingTotals.turnConfigFetches++;
     res.json(turnConfig);
 });
 
-// Input validation functions
-function isValidRoomId(roomId) {
-    return typeof roomId === 'string' && /^[a-zA-Z0-9]{8,15}$/.test(roomId);
+// /admin and /metrics need ADMIN_TOKEN, either as a bearer token (for scrapers) or as the
+// Basic auth password (for browsers). Without ADMIN_TOKEN set they don't exist.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+function isAdminToken(value) {
+    const expected = crypto.createHash('sha256').update(ADMIN_TOKEN).digest();
+    const provided = crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(expected, provided);
 }
 
-function isValidSocketData(data) {
-    return data && typeof data === 'object' && isValidRoomId(data.roomId);
+function requireAdmin(req, res, next) {
+    if (!ADMIN_TOKEN) {
+        return res.status(404).send('Not found');
+    }
+    if (bans.bannedFor(req.ip)) {
+        return res.status(429).send('Too many requests');
+    }
+
+    const [scheme, credentials] = (req.get('authorization') || '').split(' ');
+    let token = null;
+    if (scheme === 'Bearer') {
+        token = credentials;
+    } else if (scheme === 'Basic' && credentials) {
+        const decoded = Buffer.from(credentials, 'base64').toString();
+        token = decoded.slice(decoded.indexOf(':') + 1);
+    }
+    if (token && isAdminToken(token)) {
+        return next();
+    }
+
+    // Wrong guesses count towards a ban like any other abuse
+    if (token) {
+        req.log.warn('Rejected admin credentials', { ip: req.ip });
+        bans.strike(req.ip);
+    }
+    res.set('WWW-Authenticate', 'Basic realm="DirectDrop admin"');
+    res.status(401).send('Authentication required');
 }
 
-// Store rooms with password hashes (in-memory)
-const rooms = new Map(); // { roomId: { users: Set, passwordHash: string|null, createdAt: Date } }
+// Prometheus scrape endpoint
+app.get('/metrics', requireAdmin, async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.type('text/plain; version=0.0.4').send(formatPrometheus(await collectMetrics()));
+});
 
-// Cleanup old rooms every 10 minutes
-setInterval(() => {
-    const now = new Date();
-    const ROOM_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+// The same numbers as a page for people
+app.get('/admin(|/)', requireAdmin, async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.type('html').send(renderAdminPage(await collectMetrics()));
+});
+
+// Messages turned away per event because the payload failed its schema, the emitter wasn't
+// allowed to send it or was rate limited (see rejectMessage below)
+const rejectedMessages = new Map(EVENT_NAMES.map(event => [event, 0]));
+
+// Running totals since the server started, reported by /metrics and /admin
+const signalingTotals = {
+    handshakesStarted: 0, // Offers relayed to a receiver
+    handshakesCompleted: 0, // Answers relayed back to the sender
+    transfersConfirmed: new Map(), // Receivers' first relayed confirmations, by integrity verdict
+    bytesReported: 0, // Sizes of downloads confirmed intact, as reported by receivers
+    turnConfigFetches: 0
+};
+
+function mapSamples(map, label) {
+    return Array.from(map, ([value, count]) => ({ labels: { [label]: value }, value: count }));
+}
+
+// Snapshot of the server's state in the shape metrics.js renders
+async function collectMetrics() {
+    const roomCounts = { protected: 0, open: 0 };
+    for (const [, room] of await rooms.entries()) {
+        roomCounts[room.passwordVerifier ? 'protected' : 'open']++;
+    }
+
+    return [
+        { name: 'directdrop_rooms', help: 'Rooms currently open', type: 'gauge',
+          samples: mapSamples(new Map(Object.entries(roomCounts)), 'access') },
+        { name: 'directdrop_connected_sockets', help: 'Sockets connected to the signaling server', type: 'gauge',
+          samples: [{ value: io.of('/').sockets.size }] },
+        { name: 'directdrop_handshakes_started_total', help: 'WebRTC offers relayed to receivers', type: 'counter',
+          samples: [{ value: signalingTotals.handshakesStarted }] },
+        { name: 'directdrop_handshakes_completed_total', help: 'WebRTC answers relayed back to senders', type: 'counter',
+          samples: [{ value: signalingTotals.handshakesCompleted }] },
+        { name: 'directdrop_transfers_confirmed_total', help: 'Transfers confirmed by their receivers, each counted once', type: 'counter',
+          samples: mapSamples(signalingTotals.transfersConfirmed, 'integrity') },
+        { name: 'directdrop_reported_bytes_total', help: 'Bytes of completed downloads reported by receivers', type: 'counter',
+          samples: [{ value: signalingTotals.bytesReported }] },
+        { name: 'directdrop_turn_config_fetches_total', help: 'ICE server configurations handed out', type: 'counter',
+          samples: [{ value: signalingTotals.turnConfigFetches }] },
+        { name: 'directdrop_rate_limited_total', help: 'Requests refused by rate limits', type: 'counter',
+          samples: mapSamples(rateLimitedRequests, 'event') },
+        { name: 'directdrop_banned_ips', help: 'Client IPs temporarily banned', type: 'gauge',
+          samples: [{ value: bans.count() }] },
+        { name: 'directdrop_rejected_messages_total', help: 'Socket messages rejected, including rate-limited ones', type: 'counter',
+          samples: mapSamples(rejectedMessages, 'event') }
+    ];
+}
+
+// Rooms live in a pluggable store (see room-store.js); ROOM_STORE=file keeps pending links across restarts.
+// Run exactly one signaling instance: besides the rooms, challenges, rate limits and the timers that
+// retire empty rooms are per process, so a second instance behind a load balancer would split links.
+// Always `await rooms.set()` after changing a room so stores that don't hand out live objects see the change.
+// { roomId: { users: Set, ownerId: string|null, direction: 'send'|'request', note: string|null, maxSize: number|null,
+//             passwordVerifier: Buffer|null, passwordSalt: string|null, ownerToken: string,
+//             accessTokens: Set, failedAttempts: number, lockedUntil: number|null, createdAt: Date,
+//             expiresAt: number, maxDownloads: number|null, completedDownloads: number, confirmedBy: Set } }
+const roomStore = createRoomStore();
+const rooms = roomStore.collection('rooms', {
+    serialize: room => ({
+        ...room,
+        users: undefined,
+        ownerId: undefined,
+        passwordVerifier: room.passwordVerifier ? room.passwordVerifier.toString('hex') : null,
+        accessTokens: Array.from(room.accessTokens),
+        confirmedBy: Array.from(room.confirmedBy)
+    }),
+    // Sockets don't survive a restart, so stored rooms come back empty and wait for their peers to rejoin
+    deserialize: room => ({
+        ...room,
+        users: new Set(),
+        ownerId: null,
+        passwordVerifier: room.passwordVerifier ? Buffer.from(room.passwordVerifier, 'hex') : null,
+        accessTokens: new Set(room.accessTokens),
+        createdAt: new Date(room.createdAt),
+        confirmedBy: new Set(room.confirmedBy)
+    })
+});
+
+// Links that expired or used up their downloads, kept for a while so receivers get room-expired instead of room-not-found
+// { roomId: { reason: 'expired'|'download-limit', retiredAt: number } }
+const expiredRooms = roomStore.collection('expiredRooms');
+
+// Grace-period timers for empty rooms; timers belong to this process, so they stay out of the store
+const roomDeleteTimers = new Map();
+
+// Link limits chosen by the sender
+const MIN_LINK_EXPIRY = 5 * 60 * 1000; // 5 minutes
+const MAX_LINK_EXPIRY = 24 * 60 * 60 * 1000; // 24 hours
+const DEFAULT_LINK_EXPIRY = 60 * 60 * 1000; // 1 hour, for clients that don't choose
+const MAX_DOWNLOAD_LIMIT = 1000;
+const EXPIRED_ROOM_MEMORY = 24 * 60 * 60 * 1000; // 24 hours
+
+// File requests: the owner receives and whoever opens the link sends, once
+const MAX_REQUEST_NOTE_LENGTH = 500;
+const MAX_REQUEST_SIZE = 10 * 1024 * 1024 * 1024; // Same 10GB limit as the pages
+
+// transfer-confirmed verdicts for a download the receiver saved; 'corrupted', 'failed' and a
+// confirmation without a verdict don't use up one of the link's downloads
+const DELIVERED_VERDICTS = ['verified', 'unverified'];
+
+// Password verification: the sender registers a salted PBKDF2 verifier, receivers answer a one-time
+// nonce with HMAC-SHA256(verifier, nonce). Nothing a receiver sends can be replayed.
+const MAX_PASSWORD_ATTEMPTS = 5;
+const PASSWORD_LOCKOUT_DURATION = 15 * 60 * 1000; // 15 minutes
+
+function generateToken() {
+    return crypto.randomBytes(16).toString('hex');
+}
 
-    rooms.forEach((room, roomId) => {
-        const age = now - room.createdAt;
-        if (age > ROOM_TIMEOUT && room.users.size === 0) {
-            rooms.delete(roomId);
-            console.log('Cleaned up old room:', roomId);
+function createRoom(passwordVerifier, passwordSalt, linkExpiry = DEFAULT_LINK_EXPIRY, maxDownloads = null, request = null) {
+    return {
+        users: new Set(),
+        ownerId: null, // Socket of the room owner
+        direction: request ? 'request' : 'send', // Whether the owner sends the file or asked for one
+        note: request ? request.note : null, // Shown to whoever answers a file request
+        maxSize: request ? request.maxSize : null, // Largest transfer a file request accepts, null = no cap
+        passwordVerifier: passwordVerifier ? Buffer.from(passwordVerifier, 'hex') : null,
+        passwordSalt: passwordSalt || null,
+        ownerToken: generateToken(), // Lets the creator rejoin from a new socket after a reconnect
+        accessTokens: new Set(), // Issued to receivers that passed verify-password
+        failedAttempts: 0,
+        lockedUntil: null,
+        createdAt: new Date(),
+        expiresAt: Date.now() + linkExpiry, // No new receivers after this; running transfers may finish
+        maxDownloads, // null = unlimited, 1 = burn after one download
+        completedDownloads: 0,
+        confirmedBy: new Set() // Access tokens of receivers already counted, since confirmations can repeat
+    };
+}
+
+function isValidLinkSettings(linkExpiry, maxDownloads) {
+    return Number.isInteger(linkExpiry) && linkExpiry >= MIN_LINK_EXPIRY && linkExpiry <= MAX_LINK_EXPIRY &&
+        (maxDownloads === null || (Number.isInteger(maxDownloads) && maxDownloads >= 1 && maxDownloads <= MAX_DOWNLOAD_LIMIT));
+}
+
+function isValidFileRequest(note, maxSize) {
+    return (note === null || (typeof note === 'string' && note.length <= MAX_REQUEST_NOTE_LENGTH)) &&
+        (maxSize === null || (Number.isInteger(maxSize) && maxSize >= 1 && maxSize <= MAX_REQUEST_SIZE));
+}
+
+// Which end of the transfer a member is: the owner sends on a normal link and receives on a file request
+function getTransferRole(room, socketId) {
+    if (!room || !room.users.has(socketId)) return null;
+    const isOwner = socketId === room.ownerId;
+    return isOwner === (room.direction === 'request') ? 'receiver' : 'sender';
+}
+
+// Members at the other end of the transfer: the receivers for the sender, the sender for a receiver
+function getCounterpartIds(room, socketId) {
+    const role = getTransferRole(room, socketId);
+    if (!role) return [];
+    return Array.from(room.users).filter(id => id !== socketId && getTransferRole(room, id) !== role);
+}
+
+// Why a room no longer admits new receivers, or null while it does
+function getRoomExpiry(room) {
+    if (Date.now() >= room.expiresAt) {
+        return 'expired';
+    }
+    if (room.maxDownloads !== null && room.completedDownloads >= room.maxDownloads) {
+        return 'download-limit';
+    }
+    return null;
+}
+
+// Delete a room, remembering it if it ended because of its link limits
+async function deleteRoom(roomId) {
+    const room = await rooms.get(roomId);
+    if (!room) return;
+    await rooms.delete(roomId);
+    cancelRoomDeletion(roomId);
+
+    const reason = getRoomExpiry(room);
+    if (reason) {
+        await expiredRooms.set(roomId, { reason, retiredAt: Date.now() });
+    }
+}
+
+// Delete a room once it has stayed empty for the grace period, giving peers a chance to reconnect and resume
+function scheduleRoomDeletion(roomId) {
+    if (roomDeleteTimers.has(roomId)) return;
+    roomDeleteTimers.set(roomId, setTimeout(async () => {
+        roomDeleteTimers.delete(roomId);
+        const room = await rooms.get(roomId);
+        if (room && room.users.size === 0) {
+            await deleteRoom(roomId);
+            logger.info('Deleted empty room', { roomId });
         }
-    });
-}, 10 * 60 * 1000);
+    }, ROOM_RECONNECT_GRACE_PERIOD));
+}
 
-// Rate limiting middleware for socket connections
-io.use((socket, next) => {
-    const clientIP = socket.handshake.address;
+function cancelRoomDeletion(roomId) {
+    const timer = roomDeleteTimers.get(roomId);
+    if (!timer) return false;
+    clearTimeout(timer);
+    roomDeleteTimers.delete(roomId);
+    return true;
+}
+
+function hasRoomAccess(room, accessToken) {
+    return typeof accessToken === 'string' &&
+        (accessToken === room.ownerToken || room.accessTokens.has(accessToken));
+}
+
+// Relay a signaling event to the one peer named by `to`, never to the whole room.
+// The emitter must be a member of the room (playing `role` when one is given) and `to`
+// a member at the other end of the transfer, so receivers can't reach each other.
+// Returns null once relayed, or the reason it wasn't as { code, message, field }.
+async function relayToPeer(socket, data, event, payload, role) {
+    if (data.to === socket.id) {
+        return { code: 'invalid-peer', message: 'to must name another peer', field: 'to' };
+    }
+    const room = await rooms.get(data.roomId);
+    const fromRole = getTransferRole(room, socket.id);
+    if (!fromRole) {
+        return { code: 'not-in-room', message: 'Join the room before signaling in it', field: 'roomId' };
+    }
+    if (role && fromRole !== role) {
+        return { code: 'wrong-role', message: `Only the ${role} can send ${event}`, field: null };
+    }
+    const toRole = getTransferRole(room, data.to);
+    if (!toRole || toRole === fromRole) {
+        return { code: 'unknown-peer', message: 'to is not at the other end of this transfer', field: 'to' };
+    }
+    io.to(data.to).emit(event, payload);
+    return null;
+}
+
+function verifyPasswordProof(room, nonce, proof) {
+    const expected = crypto.createHmac('sha256', room.passwordVerifier).update(nonce).digest();
+    const provided = Buffer.from(proof, 'hex');
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+// How long an empty room is kept so a dropped peer can rejoin and resume
+const ROOM_RECONNECT_GRACE_PERIOD = 2 * 60 * 1000; // 2 minutes
+
+// Cleanup expired rooms every minute
+setInterval(async () => {
     const now = Date.now();
 
-    if (!connectionCounts.has(clientIP)) {
-        connectionCounts.set(clientIP, {
-            count: 1,
-            firstConnection: now
-        });
-    } else {
-        const ipData = connectionCounts.get(clientIP);
-        if (now - ipData.firstConnection <= RATE_LIMIT_WINDOW) {
-            if (ipData.count >= MAX_CONNECTIONS_PER_IP) {
-                return next(new Error('Rate limit exceeded'));
-            }
-            ipData.count++;
-        } else {
-            // Reset counter for new window
-            connectionCounts.set(clientIP, {
-                count: 1,
-                firstConnection: now
-            });
+    for (const [roomId, room] of await rooms.entries()) {
+        if (room.users.size === 0 && getRoomExpiry(room)) {
+            await deleteRoom(roomId);
+            logger.info('Cleaned up expired room', { roomId });
+        }
+    }
+
+    for (const [roomId, entry] of await expiredRooms.entries()) {
+        if (now - entry.retiredAt > EXPIRED_ROOM_MEMORY) {
+            await expiredRooms.delete(roomId);
+        }
+    }
+}, 60 * 1000);
+
+// Turn away banned IPs and rate limit new connections per client IP.
+// socket.data.clientIp is the address the event limits below count against.
+io.use((socket, next) => {
+    const clientIp = getClientIp(socket.handshake.address, socket.handshake.headers['x-forwarded-for'], TRUSTED_PROXIES);
+    if (bans.bannedFor(clientIp)) {
+        return next(new Error('Temporarily banned'));
+    }
+    if (connectionLimits.take(clientIp)) {
+        countRateLimited('connection');
+        if (bans.strike(clientIp)) {
+            logger.warn('Temporarily banned after too many connections', { ip: clientIp });
         }
+        return next(new Error('Rate limit exceeded'));
     }
+    socket.data.clientIp = clientIp;
     next();
 });
 
 io.on('connection', (socket) => {
-    console.log(`User connected: ${socket.id}`);
+    // Every line about this socket carries its id, which ties together its events and rooms
+    const log = logger.child({ socket: socket.id });
+    log.info('User connected');
+
+    // Every event acks the same way: { success: true, ... } when handled, otherwise a reply from
+    // rejectMessage or refuse. check-room and verify-password also answer with their older events.
+
+    // Turn a message away and tell the emitter why: through its ack callback when it passed one,
+    // otherwise with an 'invalid-message' event. Either way it gets { success: false, event, code, error, field }.
+    function rejectMessage(event, problem, callback) {
+        if (rejectedMessages.has(event)) {
+            rejectedMessages.set(event, rejectedMessages.get(event) + 1);
+        }
+        const reply = { success: false, event, code: problem.code, error: problem.message, field: problem.field };
+        if (problem.retryAfter) {
+            reply.retryAfter = problem.retryAfter;
+        }
+        if (typeof callback === 'function') {
+            callback(reply);
+        } else {
+            socket.emit('invalid-message', reply);
+        }
+    }
+
+    // Answer a well-formed message the server turned down (no such room, wrong password, ...) in the
+    // same shape, with details such as a fresh nonce alongside. Not counted as a rejected message.
+    function refuse(event, code, message, callback, details = {}) {
+        if (typeof callback === 'function') {
+            callback({ success: false, event, code, error: message, field: null, ...details });
+        }
+    }
+
+    // Refuse a message over its rate limit; each refusal is a strike towards a temporary ban
+    function limitExceeded(event, retryAfter, callback) {
+        countRateLimited(event);
+        rejectMessage(event, { code: 'rate-limited', message: 'Too many requests, try again later', field: null, retryAfter }, callback);
+        if (bans.strike(socket.data.clientIp)) {
+            log.warn('Temporarily banned after too many rate-limited requests', { ip: socket.data.clientIp });
+            socket.disconnect(true);
+        }
+    }
+
+    // Spend a token from this socket's and its IP's bucket for the event
+    function isRateLimited(event, callback) {
+        const limits = EVENT_RATE_LIMITS[event];
+        const retryAfter = Math.max(limits.perSocket.take(socket.id), limits.perIp.take(socket.data.clientIp));
+        if (retryAfter) {
+            limitExceeded(event, retryAfter, callback);
+        }
+        return retryAfter > 0;
+    }
+
+    // Register a handler that only sees payloads matching the event's schema. The handler returns
+    // null on success (acked with { success: true }) or a { code, message, field } to reject with.
+    function onValidEvent(event, handler) {
+        socket.on(event, async (data, callback) => {
+            const problem = validateEvent(event, data) || await handler(data);
+            if (problem) {
+                rejectMessage(event, problem, callback);
+            } else if (typeof callback === 'function') {
+                callback({ success: true });
+            }
+        });
+    }
+
+    // Events without a schema (e.g. from an outdated client) are answered with 'unknown-event'
+    socket.onAny((event, ...args) => {
+        if (!EVENT_NAMES.includes(event)) {
+            const callback = args[args.length - 1];
+            rejectMessage(event, validateEvent(event, args[0]), typeof callback === 'function' ? callback : undefined);
+        }
+    });
 
     // Check if room exists and if it's protected
-    socket.on('check-room', ({ roomId }) => {
-        if (!isValidRoomId(roomId)) {
+    socket.on('check-room', async (data, callback) => {
+        if (isRateLimited('check-room', callback)) {
+            return;
+        }
+        const problem = validateEvent('check-room', data);
+        if (problem) {
+            rejectMessage('check-room', problem, callback);
             socket.emit('room-not-found');
             return;
         }
+        const { roomId } = data;
 
-        const room = rooms.get(roomId);
+        const missWait = roomLookupMisses.wait(socket.data.clientIp);
+        if (missWait) {
+            limitExceeded('check-room', missWait, callback);
+            return;
+        }
+
+        const room = await rooms.get(roomId);
 
         if (!room) {
-            socket.emit('room-not-found');
+            const retired = await expiredRooms.get(roomId);
+            if (retired) {
+                socket.emit('room-expired', { reason: retired.reason });
+                refuse('check-room', 'room-expired', 'Link expired', callback, { reason: retired.reason });
+            } else {
+                roomLookupMisses.take(socket.data.clientIp);
+                socket.emit('room-not-found');
+                refuse('check-room', 'room-not-found', 'Room not found', callback);
+            }
+            return;
+        }
+
+        const expiry = getRoomExpiry(room);
+        if (expiry) {
+            socket.emit('room-expired', { reason: expiry });
+            refuse('check-room', 'room-expired', 'Link expired', callback, { reason: expiry });
             return;
         }
 
         const roomInfo = {
             exists: true,
-            isProtected: !!room.passwordHash,
-            hasUsers: room.users.size > 0
+            isProtected: !!room.passwordVerifier,
+            hasUsers: room.users.size > 0,
+            direction: room.direction
         };
 
+        // File request: tell whoever opened it what the requester asked for
+        if (room.direction === 'request') {
+            roomInfo.note = room.note;
+            roomInfo.maxSize = room.maxSize;
+        }
+
+        // Protected room: hand out the salt and a fresh single-use challenge
+        if (room.passwordVerifier) {
+            roomInfo.salt = room.passwordSalt;
+            roomInfo.nonce = issuePasswordChallenge(roomId);
+        }
+
         socket.emit('room-info', roomInfo);
+        if (typeof callback === 'function') callback({ success: true, ...roomInfo });
     });
 
+    function issuePasswordChallenge(roomId) {
+        const nonce = generateToken();
+        socket.data.passwordChallenge = { roomId, nonce };
+        return nonce;
+    }
+
     // Verify password for protected room
-    socket.on('verify-password', ({ roomId, passwordHash }) => {
-        if (!isValidRoomId(roomId) || typeof passwordHash !== 'string') {
+    socket.on('verify-password', async (data, callback) => {
+        // Answer with 'password-verified' and, when the client passed one, the ack
+        function answer(result, code, message) {
+            socket.emit('password-verified', result);
+            if (result.valid) {
+                if (typeof callback === 'function') callback({ success: true, ...result });
+            } else if (code) {
+                refuse('verify-password', code, message, callback, result);
+            }
+        }
+
+        if (isRateLimited('verify-password', callback)) {
+            socket.emit('password-verified', { valid: false, rateLimited: true });
+            return;
+        }
+        const problem = validateEvent('verify-password', data);
+        if (problem) {
+            rejectMessage('verify-password', problem, callback);
             socket.emit('password-verified', { valid: false });
             return;
         }
+        const { roomId, proof } = data;
+
+        const missWait = roomLookupMisses.wait(socket.data.clientIp);
+        if (missWait) {
+            limitExceeded('verify-password', missWait, callback);
+            socket.emit('password-verified', { valid: false, rateLimited: true });
+            return;
+        }
 
-        const room = rooms.get(roomId);
+        const room = await rooms.get(roomId);
 
-        if (!room) {
-            socket.emit('password-verified', { valid: false });
+        if (!room || !room.passwordVerifier) {
+            if (!room) {
+                roomLookupMisses.take(socket.data.clientIp);
+            }
+            answer({ valid: false }, 'room-not-found', 'No password-protected room with this id');
+            return;
+        }
+
+        // Per-room lockout after too many failed attempts
+        const now = Date.now();
+        if (room.lockedUntil && now < room.lockedUntil) {
+            answer({ valid: false, locked: true, retryAfter: room.lockedUntil - now }, 'locked', 'Too many failed attempts');
             return;
         }
+        if (room.lockedUntil) {
+            room.lockedUntil = null;
+            room.failedAttempts = 0;
+            await rooms.set(roomId, room);
+        }
 
-        // Check if password matches
-        const isValid = room.passwordHash === passwordHash;
+        // Challenges are single-use
+        const challenge = socket.data.passwordChallenge;
+        delete socket.data.passwordChallenge;
 
-        socket.emit('password-verified', { valid: isValid });
+        if (!challenge || challenge.roomId !== roomId) {
+            answer({ valid: false, nonce: issuePasswordChallenge(roomId) }, 'no-challenge', 'Answer the new challenge');
+            return;
+        }
 
-        if (isValid) {
-            console.log('Password verified for room:', roomId);
-        } else {
-            console.log('Invalid password attempt for room:', roomId);
+        if (verifyPasswordProof(room, challenge.nonce, proof)) {
+            const accessToken = generateToken();
+            room.accessTokens.add(accessToken);
+            await rooms.set(roomId, room);
+            answer({ valid: true, accessToken });
+            log.info('Password verified', { roomId });
+            return;
+        }
+
+        room.failedAttempts++;
+        if (room.failedAttempts >= MAX_PASSWORD_ATTEMPTS) {
+            room.lockedUntil = now + PASSWORD_LOCKOUT_DURATION;
         }
+        await rooms.set(roomId, room);
+        log.info('Invalid password attempt', { roomId, failedAttempts: room.failedAttempts, maxAttempts: MAX_PASSWORD_ATTEMPTS });
+
+        if (room.lockedUntil) {
+            log.warn('Room locked after too many failed password attempts', { roomId });
+            answer({ valid: false, locked: true, retryAfter: PASSWORD_LOCKOUT_DURATION }, 'locked', 'Too many failed attempts');
+            return;
+        }
+
+        answer({
+            valid: false,
+            attemptsRemaining: MAX_PASSWORD_ATTEMPTS - room.failedAttempts,
+            nonce: issuePasswordChallenge(roomId)
+        }, 'wrong-password', 'Incorrect password');
     });
 
     // A user wants to join a room
-    socket.on('join-room', (data, callback) => {
-        // Handle both old format (string) and new format (object)
-        let roomId, passwordHash, isProtected;
-
+    socket.on('join-room', async (data, callback) => {
+        if (isRateLimited('join-room', callback)) {
+            return;
+        }
+        // Old clients send just the room id; new ones an object with roomId, passwordVerifier, passwordSalt, isProtected,
+        // accessToken, linkExpiry, maxDownloads, and direction 'request' with an optional note and maxSize
+        // when the creator asks for a file instead
         if (typeof data === 'string') {
-            // Old format: just roomId
-            roomId = data;
-            passwordHash = null;
-            isProtected = false;
-        } else if (typeof data === 'object' && data.roomId) {
-            // New format: object with roomId, passwordHash, isProtected
-            roomId = data.roomId;
-            passwordHash = data.passwordHash || null;
-            isProtected = data.isProtected || false;
-        } else {
-            socket.emit('error', 'Invalid join-room data');
-            if (callback) callback({ success: false, error: 'Invalid data' });
+            data = { roomId: data };
+        }
+        const problem = validateEvent('join-room', data);
+        if (problem) {
+            socket.emit('error', problem.message);
+            rejectMessage('join-room', problem, callback);
             return;
         }
 
-        if (!isValidRoomId(roomId)) {
-            socket.emit('error', 'Invalid room ID format');
-            if (callback) callback({ success: false, error: 'Invalid room ID' });
+        const roomId = data.roomId;
+        const passwordVerifier = data.passwordVerifier || null;
+        const passwordSalt = data.passwordSalt || null;
+        const isProtected = data.isProtected || false;
+        const accessToken = data.accessToken || null;
+        const linkExpiry = data.linkExpiry === undefined ? DEFAULT_LINK_EXPIRY : data.linkExpiry;
+        const maxDownloads = data.maxDownloads === undefined ? null : data.maxDownloads;
+        const request = data.direction === 'request'
+            ? { note: data.note || null, maxSize: data.maxSize === undefined ? null : data.maxSize }
+            : null;
+
+        let room = await rooms.get(roomId);
+        let isCreator = false;
+
+        // Expired or used-up links turn away new receivers; anyone already admitted holds a token and may resume
+        const retired = room ? null : await expiredRooms.get(roomId);
+        const expiry = room ? (hasRoomAccess(room, accessToken) ? null : getRoomExpiry(room))
+            : (retired ? retired.reason : null);
+        if (expiry) {
+            socket.emit('room-expired', { reason: expiry });
+            refuse('join-room', 'room-expired', expiry === 'expired' ? 'Link expired' : 'Download limit reached', callback, { expired: expiry });
             return;
         }
 
-        // If creating new room with password
-        if (isProtected && passwordHash) {
-            if (!rooms.has(roomId)) {
-                rooms.set(roomId, {
-                    users: new Set(),
-                    passwordHash: passwordHash,
-                    createdAt: new Date()
-                });
-                console.log('Created protected room:', roomId);
+        if (!room) {
+            if (!isValidLinkSettings(linkExpiry, maxDownloads)) {
+                socket.emit('error', 'Invalid link settings');
+                refuse('join-room', 'invalid-link-settings', 'Invalid link settings', callback);
+                return;
             }
-        } else if (!rooms.has(roomId)) {
-            // Create unprotected room
-            rooms.set(roomId, {
-                users: new Set(),
-                passwordHash: null,
-                createdAt: new Date()
-            });
-            console.log('Created unprotected room:', roomId);
+
+            if (request) {
+                // File request: the link takes one upload and is answered from the home page, without a password
+                if (!isValidFileRequest(request.note, request.maxSize)) {
+                    socket.emit('error', 'Invalid file request');
+                    refuse('join-room', 'invalid-file-request', 'Invalid file request', callback);
+                    return;
+                }
+                room = createRoom(null, null, linkExpiry, 1, request);
+                log.info('Created file request room', { roomId });
+            } else if (isProtected) {
+                // If creating new room with password
+                if (!isValidHex(passwordVerifier, 64) || !isValidHex(passwordSalt, 32)) {
+                    socket.emit('error', 'Invalid password verifier');
+                    refuse('join-room', 'invalid-password-verifier', 'Invalid password verifier', callback);
+                    return;
+                }
+                room = createRoom(passwordVerifier, passwordSalt, linkExpiry, maxDownloads);
+                log.info('Created protected room', { roomId });
+            } else {
+                // Create unprotected room
+                room = createRoom(null, null, linkExpiry, maxDownloads);
+                log.info('Created unprotected room', { roomId });
+            }
+            isCreator = true;
+        } else if (room.direction === 'request' && accessToken !== room.ownerToken &&
+                   Array.from(room.users).some(id => id !== room.ownerId && id !== socket.id)) {
+            // A file request is answered by one sender at a time
+            socket.emit('error', 'Someone is already sending files for this request');
+            refuse('join-room', 'request-in-use', 'Someone is already sending files for this request', callback);
+            return;
+        } else if (room.passwordVerifier && !hasRoomAccess(room, accessToken)) {
+            // Receivers must pass verify-password before they can join a protected room
+            log.info('Rejected unverified join for protected room', { roomId });
+            socket.emit('error', 'Password verification required');
+            refuse('join-room', 'password-required', 'Password verification required', callback);
+            return;
         }
 
-        const room = rooms.get(roomId);
+        // A peer came back within the grace period - keep the room
+        if (cancelRoomDeletion(roomId)) {
+            log.info('Peer rejoined room within grace period', { roomId });
+        }
 
         // Add user to room
         socket.join(roomId);
         room.users.add(socket.id);
+        if (isCreator || accessToken === room.ownerToken) {
+            room.ownerId = socket.id;
+        }
 
-        console.log(`User ${socket.id} joined room: ${roomId} - Total users: ${room.users.size}`);
+        log.info('User joined room', { roomId, users: room.users.size });
 
-        // Send acknowledgement that room is created
-        if (callback) callback({ success: true, roomId });
+        // Receivers get a token so they can rejoin and resume after the link expires or runs out
+        let receiverToken;
+        if (!isCreator && accessToken !== room.ownerToken) {
+            receiverToken = hasRoomAccess(room, accessToken) ? accessToken : generateToken();
+            room.accessTokens.add(receiverToken);
+            // The token outlives reconnects, so transfer-confirmed counts a receiver once by it
+            socket.data.receiverTokens = socket.data.receiverTokens || new Map();
+            socket.data.receiverTokens.set(roomId, receiverToken);
+        }
+        await rooms.set(roomId, room);
+
+        // Send acknowledgement that room is created (peerIds lets a rejoining sender reach everyone again)
+        const peerIds = getCounterpartIds(room, socket.id);
+        if (typeof callback === 'function') {
+            callback({
+                success: true,
+                roomId,
+                peerCount: peerIds.length,
+                peerIds,
+                ownerToken: isCreator ? room.ownerToken : undefined,
+                accessToken: receiverToken
+            });
+        }
 
-        // Notify others in the room that a new user has joined
-        socket.to(roomId).emit('user-joined', socket.id);
+        // Notify the other end of the transfer that a new user has joined; receivers don't learn about each other
+        peerIds.forEach(id => io.to(id).emit('user-joined', socket.id));
     });
 
     // Pass on WebRTC offers, answers, and ICE candidates
-    socket.on('offer', (data) => {
-        if (!isValidSocketData(data) || !data.sdp) {
-            return; // Silently ignore invalid data
-        }
-        socket.to(data.roomId).emit('offer', { sdp: data.sdp, from: socket.id });
+    // The sending end always offers, whichever side created the room
+    onValidEvent('offer', async (data) => {
+        const problem = await relayToPeer(socket, data, 'offer', { sdp: data.sdp, from: socket.id }, 'sender');
+        if (!problem) signalingTotals.handshakesStarted++;
+        return problem;
     });
 
-    socket.on('answer', (data) => {
-        if (!isValidSocketData(data) || !data.sdp) {
-            return; // Silently ignore invalid data
-        }
-        socket.to(data.roomId).emit('answer', { sdp: data.sdp, from: socket.id });
+    onValidEvent('answer', async (data) => {
+        const problem = await relayToPeer(socket, data, 'answer', { sdp: data.sdp, from: socket.id }, 'receiver');
+        if (!problem) signalingTotals.handshakesCompleted++;
+        return problem;
     });
 
-    socket.on('ice-candidate', (data) => {
-        if (!isValidSocketData(data) || !data.candidate) {
-            return; // Silently ignore invalid data
-        }
-        socket.to(data.roomId).emit('ice-candidate', { candidate: data.candidate, from: socket.id });
-    });
+    onValidEvent('ice-candidate', data =>
+        relayToPeer(socket, data, 'ice-candidate', { candidate: data.candidate, from: socket.id }));
 
-    // File metadata transfer
-    socket.on('file-meta', (data) => {
-        if (!isValidSocketData(data) || !data.metadata || typeof data.metadata !== 'object') {
-            return; // Silently ignore invalid data
+    onValidEvent('transfer-confirmed', async (data) => {
+        // Pass on the receiver's checksum verdict so the sender can report it
+        const integrity = data.integrity;
+        const problem = await relayToPeer(socket, data, 'transfer-confirmed', { integrity, from: socket.id }, 'receiver');
+        if (problem) {
+            return problem;
         }
 
-        // Validate metadata
-        const { name, size } = data.metadata;
-        if (typeof name !== 'string' || typeof size !== 'number' || size < 0 || size > 10 * 1024 * 1024 * 1024) {
-            return; // Silently ignore invalid metadata
+        // Only a relayed confirmation counts, and only a receiver's first one: a download that was
+        // saved takes one of the link's downloads, and the metrics see each transfer once
+        const room = await rooms.get(data.roomId);
+        if (!room) {
+            return null;
         }
-
-        socket.to(data.roomId).emit('file-meta', data.metadata);
-    });
-
-    socket.on('transfer-done', (data) => {
-        if (!isValidSocketData(data)) {
-            return; // Silently ignore invalid data
+        const receiverToken = (socket.data.receiverTokens && socket.data.receiverTokens.get(data.roomId)) || socket.id;
+        if (room.confirmedBy.has(receiverToken)) {
+            return null;
         }
-        socket.to(data.roomId).emit('transfer-done');
-    });
-
-    socket.on('transfer-confirmed', (data) => {
-        if (!isValidSocketData(data)) {
-            return; // Silently ignore invalid data
+        // A receiver whose save failed can download again, so only a verdict on the data settles it
+        if (DELIVERED_VERDICTS.includes(integrity) || integrity === 'corrupted') {
+            room.confirmedBy.add(receiverToken);
         }
-        socket.to(data.roomId).emit('transfer-confirmed');
+        const verdict = integrity || 'unknown';
+        signalingTotals.transfersConfirmed.set(verdict, (signalingTotals.transfersConfirmed.get(verdict) || 0) + 1);
+        if (DELIVERED_VERDICTS.includes(integrity)) {
+            room.completedDownloads++;
+            signalingTotals.bytesReported += data.bytes || 0;
+            if (room.maxDownloads !== null && room.completedDownloads >= room.maxDownloads) {
+                log.info('Room reached its download limit', { roomId: data.roomId });
+            }
+        }
+        await rooms.set(data.roomId, room);
+        return null;
     });
 
-    socket.on('disconnect', () => {
-        console.log(`User disconnected: ${socket.id}`);
+    socket.on('disconnect', async () => {
+        log.info('User disconnected');
+        for (const limits of Object.values(EVENT_RATE_LIMITS)) {
+            limits.perSocket.delete(socket.id);
+        }
 
         // Remove from all rooms and cleanup
-        rooms.forEach((room, roomId) => {
+        for (const [roomId, room] of await rooms.entries()) {
             if (room.users.has(socket.id)) {
+                const isSender = getTransferRole(room, socket.id) === 'sender';
+                const peerIds = getCounterpartIds(room, socket.id);
                 room.users.delete(socket.id);
-                socket.to(roomId).emit('user-left', { userId: socket.id });
+                if (room.ownerId === socket.id) {
+                    room.ownerId = null;
+                }
+                await rooms.set(roomId, room);
+                peerIds.forEach(id => io.to(id).emit('user-left', { userId: socket.id, isSender }));
 
-                console.log(`User ${socket.id} left room: ${roomId} - Remaining users: ${room.users.size}`);
+                log.info('User left room', { roomId, users: room.users.size });
 
-                // Delete room if empty
                 if (room.users.size === 0) {
-                    rooms.delete(roomId);
-                    console.log('Deleted empty room:', roomId);
+                    scheduleRoomDeletion(roomId);
                 }
             }
-        });
+        }
     });
 });
 
-server.listen(PORT, () => {
-    console.log(`Signaling server listening on *:${PORT}`);
+async function startServer() {
+    if (process.env.SOCKET_ADAPTER) {
+        logger.warn('SOCKET_ADAPTER is no longer supported: rooms live in one process, so run a single signaling instance');
+    }
+
+    // Rooms restored from a persistent store are empty until their peers rejoin
+    for (const [roomId, room] of await rooms.entries()) {
+        if (room.users.size === 0) {
+            scheduleRoomDeletion(roomId);
+        }
+    }
+
+    server.listen(PORT, () => {
+        logger.info('Signaling server listening', { port: PORT });
+
+        // Auto-generate sitemap on server start (GENERATE_SITEMAP=false skips it, e.g. in the tests)
+        if (process.env.GENERATE_SITEMAP !== 'false') {
+            writeSitemap();
+        }
+    });
+}
+
+// Flush pending room writes before exiting
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, async () => {
+        await roomStore.close();
+        process.exit(0);
+    });
+});
 
-    // Auto-generate sitemap on server start
-    writeSitemap();
+startServer().catch(error => {
+    logger.error('Failed to start server', { error });
+    process.exit(1);
 });
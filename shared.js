@@ -1,24 +1,97 @@
 // DirectDrop Shared JavaScript Functions
-// This file contains common functions used by both sender and receiver pages
+// This file contains common functions used by both sender and receiver pages.
+// The pages load it as a plain script; in Node (tests, transfer-session.js) it is required as a module.
 
 // ===== CONFIGURATION =====
-const SIGNALING_SERVER_URL = window.location.origin;
+const SIGNALING_SERVER_URL = typeof window !== 'undefined' ? window.location.origin : '';
 const CHUNK_SIZE = 128 * 1024; // 128KB
 const CONNECTION_ESTABLISHMENT_TIMEOUT = 5 * 60 * 1000; // 5 minutes - WebRTC connection setup
-const WAITING_FOR_RECEIVER_TIMEOUT = 5 * 60 * 1000; // 5 minutes - waiting for someone to open link
+const DEFAULT_LINK_EXPIRY = 60 * 60 * 1000; // 1 hour - senders can pick 5 minutes up to 24 hours
+const MIN_LINK_EXPIRY = 5 * 60 * 1000;
+const MAX_LINK_EXPIRY = 24 * 60 * 60 * 1000;
+const MAX_DOWNLOAD_LIMIT = 1000; // Highest "maximum downloads" a sender can set (the server enforces the same bound)
+const RECONNECT_GRACE_PERIOD = 2 * 60 * 1000; // 2 minutes - waiting for a dropped peer to come back and resume
 const MAX_FILE_SIZE = 10 * 1024 * 1024 * 1024; // 10GB limit
+const MAX_MANIFEST_FILES = 5000; // Files per multi-file transfer (the manifest travels over the data channel)
 const ALLOWED_FILE_TYPES = []; // Empty array means all types allowed
 
 // Debug mode - set to false for production
-const DEBUG_MODE = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
+const DEBUG_MODE = typeof window !== 'undefined' &&
+    (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1');
 
 // ===== DEBUG LOGGING =====
+// Everything logged is also kept in an in-page buffer that users can download and attach to a
+// bug report; the console only gets it in DEBUG_MODE. Room ids are replaced by a short hash (the
+// same id always gives the same hash), and credentials and IP addresses are masked before storing.
+const LOG_BUFFER_SIZE = 2000; // Entries kept, oldest dropped first
+const MAX_LOG_ENTRY_LENGTH = 2000;
+const LOG_REDACTED_KEYS = /password|proof|token|secret|verifier|salt|key|sdp|candidate/i;
+const logBuffer = [];
+
+function hashLogId(value) {
+    let hash = 0x811c9dc5; // FNV-1a
+    for (let i = 0; i < value.length; i++) {
+        hash = Math.imul(hash ^ value.charCodeAt(i), 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function redactLogText(text) {
+    return text
+        // Generated room ids are 8-15 lowercase letters and digits, with at least one of each
+        .replace(/\b(?=[a-z0-9]*\d)(?=[a-z0-9]*[a-z])[a-z0-9]{8,15}\b/g, id => `room:${hashLogId(id)}`)
+        .replace(/\b\d{1,3}(\.\d{1,3}){3}\b/g, '[ip]');
+}
+
+function formatLogValue(value) {
+    if (typeof value === 'string') {
+        return value;
+    }
+    if (value instanceof Error) {
+        return `${value.name}: ${value.message}`;
+    }
+    try {
+        return JSON.stringify(value, (key, item) => (key && LOG_REDACTED_KEYS.test(key) ? '[redacted]' : item));
+    } catch (error) {
+        return String(value);
+    }
+}
+
+function recordLog(level, args) {
+    const message = redactLogText(args.map(formatLogValue).join(' ')).slice(0, MAX_LOG_ENTRY_LENGTH);
+    logBuffer.push({ time: new Date().toISOString(), level, message });
+    if (logBuffer.length > LOG_BUFFER_SIZE) {
+        logBuffer.shift();
+    }
+}
+
 function debugLog(...args) {
+    recordLog('debug', args);
     if (DEBUG_MODE) {
         console.log(...args);
     }
 }
 
+// Uncaught errors belong in a bug report too
+if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+    window.addEventListener('error', event => recordLog('error', [event.message, `${event.filename}:${event.lineno}`]));
+    window.addEventListener('unhandledrejection', event => recordLog('error', ['Unhandled rejection:', event.reason]));
+}
+
+function getDebugLogText() {
+    const header = [
+        `DirectDrop debug log - ${new Date().toISOString()}`,
+        `Page: ${redactLogText(window.location.pathname)}`,
+        `Browser: ${navigator.userAgent}`,
+        ''
+    ];
+    return header.concat(logBuffer.map(entry => `${entry.time} ${entry.level.toUpperCase()} ${entry.message}`)).join('\n') + '\n';
+}
+
+function downloadDebugLog() {
+    downloadTextFile(`directdrop-log-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}.txt`, getDebugLogText(), 'text/plain');
+}
+
 // ===== TIMEOUT HELPERS =====
 function formatTimeout(ms) {
     const minutes = Math.floor(ms / 60000);
@@ -38,14 +111,23 @@ let rtcConfig = {
     iceCandidatePoolSize: 10
 };
 
-// Fetch TURN configuration from server
-async function loadTurnConfig() {
+const TURN_REFRESH_MARGIN = 60 * 1000; // Fetch new TURN credentials this long before the old ones expire
+let turnRefreshTimer = null;
+
+// Fetch TURN configuration from server (the room must exist; credentials last minutes and are
+// fetched again before they expire, since a link can wait hours for its receivers)
+async function loadTurnConfig(roomId) {
+    clearTimeout(turnRefreshTimer);
     try {
-        const response = await fetch('/api/turn-config');
+        const response = await fetch(`/api/turn-config?roomId=${encodeURIComponent(roomId)}`);
         if (response.ok) {
-            const config = await response.json();
+            const { expiresAt, ...config } = await response.json();
             rtcConfig = config;
-            
+            if (expiresAt) {
+                debugLog('TURN credentials valid until', new Date(expiresAt).toISOString());
+                const refreshIn = Math.max(expiresAt - Date.now() - TURN_REFRESH_MARGIN, TURN_REFRESH_MARGIN);
+                turnRefreshTimer = setTimeout(() => loadTurnConfig(roomId), refreshIn);
+            }
         } else {
             debugLog('Failed to load TURN config, using STUN-only');
         }
@@ -57,6 +139,7 @@ async function loadTurnConfig() {
 
 // ===== ERROR AND SUCCESS DISPLAY =====
 function showError(message, isTemporary = false) {
+    recordLog('error', [message]);
     const statusElement = document.getElementById('share-status') || document.getElementById('receive-status');
     if (statusElement) {
         statusElement.textContent = `Error: ${message}`;
@@ -85,7 +168,7 @@ function checkBrowserCompatibility() {
         warnings.push('WebRTC is not supported in this browser. File transfer will not work.');
     }
 
-    if (!('showSaveFilePicker' in window)) {
+    if (!('showSaveFilePicker' in window) && !supportsStreamDownload()) {
         warnings.push('Direct file saving is not supported in this browser. Files up to 4GB will be downloaded to your default download folder. For file transfer up to 10GB use Google Chrome or Microsoft Edge.');
     }
 
@@ -147,98 +230,165 @@ function validateFile(file) {
     return true;
 }
 
-// ===== WEBRTC SIGNALING HANDLERS =====
-// ICE candidate queue to handle candidates that arrive before remote description
-let iceCandidateQueue = [];
-
-async function handleOffer(data, pc, socket, roomId) {
-    if (!roomId || !pc) {
-        return;
-    }
-
-    if (pc.signalingState !== 'stable') {
-        return;
+// Multi-file transfers list relative paths; sizes must add up to the streamed total. The list comes
+// from the sender, so absolute paths and '..' segments are refused rather than cleaned up.
+function isValidManifest(files, totalSize) {
+    if (!Array.isArray(files) || files.length === 0 || files.length > MAX_MANIFEST_FILES) {
+        return false;
     }
-
-    try {
-        await pc.setRemoteDescription(new RTCSessionDescription(data.sdp));
-        const answer = await pc.createAnswer();
-        await pc.setLocalDescription(answer);
-        socket.emit('answer', { roomId, sdp: pc.localDescription });
-
-        // Process any queued ICE candidates
-        await processQueuedIceCandidates(pc);
-    } catch (error) {
-        console.error('Connection setup failed');
-        showError('Failed to establish connection');
+    let sum = 0;
+    for (const entry of files) {
+        if (!entry || typeof entry !== 'object' ||
+            typeof entry.path !== 'string' || entry.path.length === 0 || entry.path.length > 1024 ||
+            /^([\\/]|[A-Za-z]:)/.test(entry.path) || entry.path.split(/[\\/]/).includes('..') ||
+            !Number.isInteger(entry.size) || entry.size < 0) {
+            return false;
+        }
+        sum += entry.size;
     }
+    return sum === totalSize;
 }
 
-async function handleAnswer(data, pc) {
-    if (!pc) {
-        return;
-    }
+// ===== FILE PREVIEWS =====
+// The sender can attach a preview to the file details so the receiver sees what it is before accepting:
+// a small JPEG of an image, a video's poster frame or a PDF's first page, or the start of a text file.
+// { type: 'image', data: 'data:image/jpeg;base64,...' } or { type: 'text', data: '...' }
+// The file details travel over the data channel, never through the signaling server, so the server
+// can't check the preview (there is no file-meta event any more). The receiver enforces the limit
+// instead: isValidPreview() drops a preview over MAX_PREVIEW_LENGTH before anything is shown.
+const MAX_PREVIEW_LENGTH = 64 * 1024; // Characters
+const PREVIEW_DIMENSION = 320; // Longest side of an image preview, in pixels
+const PREVIEW_TEXT_LENGTH = 2000;
+const MAX_PDF_PREVIEW_SIZE = 50 * 1024 * 1024; // pdf.js needs the whole document in memory
+const PDFJS_URL = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js';
+const PDFJS_WORKER_URL = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+const TEXT_PREVIEW_EXTENSIONS = ['txt', 'md', 'csv', 'json', 'log', 'xml', 'yml', 'yaml', 'ini', 'js', 'ts', 'py', 'html', 'css', 'sql', 'sh'];
 
-    if (pc.signalingState !== 'have-local-offer') {
-        return;
+function isValidPreview(preview) {
+    if (!preview || typeof preview !== 'object' || typeof preview.data !== 'string' ||
+        preview.data.length === 0 || preview.data.length > MAX_PREVIEW_LENGTH) {
+        return false;
+    }
+    if (preview.type === 'image') {
+        return /^data:image\/(jpeg|png);base64,[A-Za-z0-9+/=]+$/.test(preview.data);
     }
+    return preview.type === 'text';
+}
 
+// Resolves to a preview for the file, or null when its type has none or it can't be read
+async function createFilePreview(file) {
+    const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
     try {
-        await pc.setRemoteDescription(new RTCSessionDescription(data.sdp));
-
-        // Process any queued ICE candidates
-        await processQueuedIceCandidates(pc);
+        let preview = null;
+        if (file.type.startsWith('image/')) {
+            const bitmap = await createImageBitmap(file);
+            preview = { type: 'image', data: drawPreviewImage(bitmap, bitmap.width, bitmap.height) };
+            bitmap.close();
+        } else if (file.type.startsWith('video/')) {
+            preview = { type: 'image', data: await captureVideoFrame(file) };
+        } else if ((file.type === 'application/pdf' || extension === 'pdf') && file.size <= MAX_PDF_PREVIEW_SIZE) {
+            preview = { type: 'image', data: await renderPdfFirstPage(file) };
+        } else if (file.type.startsWith('text/') || TEXT_PREVIEW_EXTENSIONS.includes(extension)) {
+            const text = await file.slice(0, PREVIEW_TEXT_LENGTH * 4).text();
+            preview = { type: 'text', data: text.slice(0, PREVIEW_TEXT_LENGTH) };
+        }
+        return preview && isValidPreview(preview) ? preview : null;
     } catch (error) {
-        console.error('Connection setup failed');
-        showError('Failed to establish connection');
+        debugLog('Could not create a file preview:', error);
+        return null;
     }
 }
 
-async function handleIceCandidate(data, pc) {
-    if (!pc) {
-        return;
+// Scale a drawable down to PREVIEW_DIMENSION and encode it, lowering the quality until it fits
+function drawPreviewImage(source, width, height) {
+    const scale = Math.min(1, PREVIEW_DIMENSION / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#fff'; // JPEG has no transparency
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+    for (const quality of [0.75, 0.5, 0.3]) {
+        const data = canvas.toDataURL('image/jpeg', quality);
+        if (data.length <= MAX_PREVIEW_LENGTH) return data;
     }
+    return null;
+}
 
-    // More robust check for remote description
-    const hasRemoteDescription = pc.remoteDescription &&
-                                  pc.remoteDescription.type &&
-                                  (pc.signalingState === 'have-remote-offer' ||
-                                   pc.signalingState === 'stable');
+function captureVideoFrame(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const video = document.createElement('video');
+        const finish = (callback) => {
+            URL.revokeObjectURL(url);
+            video.removeAttribute('src');
+            callback();
+        };
+        const timeout = setTimeout(() => finish(() => reject(new Error('Timed out loading the video'))), 10000);
 
-    if (hasRemoteDescription) {
-        try {
-            await pc.addIceCandidate(new RTCIceCandidate(data.candidate));
-        } catch (error) {
-            // Queue it if it failed
-            iceCandidateQueue.push(data.candidate);
-        }
-    } else {
-        // Queue the candidate for later processing
-        iceCandidateQueue.push(data.candidate);
-    }
+        video.muted = true;
+        video.preload = 'metadata';
+        video.onloadedmetadata = () => {
+            // A frame a little way in is more telling than the often black first one
+            video.currentTime = Math.min(1, video.duration / 2 || 0);
+        };
+        video.onseeked = () => {
+            clearTimeout(timeout);
+            finish(() => resolve(drawPreviewImage(video, video.videoWidth, video.videoHeight)));
+        };
+        video.onerror = () => {
+            clearTimeout(timeout);
+            finish(() => reject(new Error('The video could not be decoded')));
+        };
+        video.src = url;
+    });
 }
 
-// Process queued ICE candidates after remote description is set
-async function processQueuedIceCandidates(pc) {
-    while (iceCandidateQueue.length > 0) {
-        const candidate = iceCandidateQueue.shift();
-        try {
-            await pc.addIceCandidate(new RTCIceCandidate(candidate));
-        } catch (error) {
-            // Silently handle errors
-        }
+// pdf.js is only fetched when a PDF is previewed
+let pdfjsPromise = null;
+
+function loadPdfjs() {
+    if (!pdfjsPromise) {
+        pdfjsPromise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = PDFJS_URL;
+            script.onload = () => {
+                window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+                resolve(window.pdfjsLib);
+            };
+            script.onerror = () => {
+                pdfjsPromise = null;
+                reject(new Error('Could not load the PDF renderer'));
+            };
+            document.head.appendChild(script);
+        });
     }
+    return pdfjsPromise;
 }
 
-// Clear ICE candidate queue (call when creating new peer connection)
-function clearIceCandidateQueue() {
-    iceCandidateQueue = [];
+async function renderPdfFirstPage(file) {
+    const pdfjs = await loadPdfjs();
+    const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer(), isEvalSupported: false }).promise;
+    try {
+        const page = await pdf.getPage(1);
+        const baseViewport = page.getViewport({ scale: 1 });
+        const viewport = page.getViewport({ scale: PREVIEW_DIMENSION / Math.max(baseViewport.width, baseViewport.height) });
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(viewport.width);
+        canvas.height = Math.ceil(viewport.height);
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        return drawPreviewImage(canvas, canvas.width, canvas.height);
+    } finally {
+        pdf.destroy();
+    }
 }
 
 // ===== PROGRESS TRACKING =====
-let transferStartTime = null;
-let lastProgressUpdate = null;
-let lastTransferredBytes = 0;
+// Speed/ETA state per progress bar, so a sender can track several receivers at once
+// { elementId: { transferStartTime, lastProgressUpdate, lastTransferredBytes, transferStartBytes, pausedAt } }
+const progressTrackers = new Map();
 
 function updateProgressBar(elementId, value, max) {
     const progressBar = document.getElementById(elementId);
@@ -255,21 +405,29 @@ function updateProgressText(elementId, transferred, total, percentage) {
     const now = Date.now();
 
     // Initialize transfer start time
-    if (!transferStartTime) {
-        transferStartTime = now;
-        lastProgressUpdate = now;
-        lastTransferredBytes = 0;
+    let tracker = progressTrackers.get(elementId);
+    if (tracker && tracker.pausedAt) {
+        return; // Speed and ETA stay frozen while paused
+    }
+    if (!tracker) {
+        tracker = {
+            transferStartTime: now,
+            lastProgressUpdate: now,
+            lastTransferredBytes: transferred,
+            transferStartBytes: transferred // Non-zero when a transfer resumes part-way through
+        };
+        progressTrackers.set(elementId, tracker);
     }
 
     // Calculate speed and ETA every 1000ms to avoid too frequent updates
-    if (now - lastProgressUpdate >= 1000) {
-        const elapsedTime = (now - transferStartTime) / 1000; // seconds
-        const transferredSinceLastUpdate = transferred - lastTransferredBytes;
-        const timeSinceLastUpdate = (now - lastProgressUpdate) / 1000;
+    if (now - tracker.lastProgressUpdate >= 1000) {
+        const elapsedTime = (now - tracker.transferStartTime) / 1000; // seconds
+        const transferredSinceLastUpdate = transferred - tracker.lastTransferredBytes;
+        const timeSinceLastUpdate = (now - tracker.lastProgressUpdate) / 1000;
 
         // Calculate current speed (bytes per second)
         const currentSpeed = timeSinceLastUpdate > 0 ? transferredSinceLastUpdate / timeSinceLastUpdate : 0;
-        const averageSpeed = elapsedTime > 0 ? transferred / elapsedTime : 0;
+        const averageSpeed = elapsedTime > 0 ? (transferred - tracker.transferStartBytes) / elapsedTime : 0;
 
         // Use average of current and overall speed for more stable readings
         const speed = (currentSpeed + averageSpeed) / 2;
@@ -284,24 +442,19 @@ function updateProgressText(elementId, transferred, total, percentage) {
         const speedFormatted = formatSpeed(speed);
         const etaFormatted = formatTime(eta);
 
-        // Update status text based on element type
-        let statusElementId;
-        if (elementId === 'share-progress') {
-            statusElementId = 'share-status';
-        } else if (elementId === 'receive-progress') {
-            statusElementId = 'receive-status';
-        }
+        // Each "<name>-progress" bar reports into its "<name>-status" element
+        const statusElementId = elementId.replace(/-progress$/, '-status');
 
-        if (statusElementId && percentage < 100) {
+        if (percentage < 100) {
             const statusElement = document.getElementById(statusElementId);
             if (statusElement && transferred > 0) {
-                const action = elementId === 'share-progress' ? 'Transferring' : 'Receiving';
+                const action = elementId === 'receive-progress' ? 'Receiving' : 'Transferring';
                 statusElement.textContent = `${action}... ${percentage.toFixed(1)}% (${transferredFormatted}/${totalFormatted}) • ${speedFormatted} • ETA: ${etaFormatted}`;
             }
         }
 
-        lastProgressUpdate = now;
-        lastTransferredBytes = transferred;
+        tracker.lastProgressUpdate = now;
+        tracker.lastTransferredBytes = transferred;
     }
 }
 
@@ -325,11 +478,37 @@ function formatTime(seconds) {
     return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
 }
 
-// Reset progress tracking when starting new transfer
-function resetProgressTracking() {
-    transferStartTime = null;
-    lastProgressUpdate = null;
-    lastTransferredBytes = 0;
+// Freeze speed and ETA while a transfer is paused; the paused time is left out once it resumes
+function pauseProgressTracking(elementId) {
+    const tracker = progressTrackers.get(elementId);
+    if (!tracker) {
+        progressTrackers.set(elementId, { pausedAt: Date.now() }); // Nothing measured yet
+    } else if (!tracker.pausedAt) {
+        tracker.pausedAt = Date.now();
+    }
+}
+
+function resumeProgressTracking(elementId) {
+    const tracker = progressTrackers.get(elementId);
+    if (!tracker || !tracker.pausedAt) return;
+
+    if (tracker.transferStartTime === undefined) {
+        progressTrackers.delete(elementId); // Start measuring with the next update
+        return;
+    }
+    const pausedFor = Date.now() - tracker.pausedAt;
+    tracker.transferStartTime += pausedFor;
+    tracker.lastProgressUpdate += pausedFor;
+    tracker.pausedAt = null;
+}
+
+// Reset progress tracking when starting new transfer (all bars when no id is given)
+function resetProgressTracking(elementId) {
+    if (elementId) {
+        progressTrackers.delete(elementId);
+    } else {
+        progressTrackers.clear();
+    }
 }
 
 // ===== ROOM ID GENERATION =====
@@ -344,25 +523,1224 @@ function generateSecureRoomId() {
     }
 }
 
-// ===== PASSWORD HASHING =====
-async function hashPassword(password) {
+// ===== PASSWORD VERIFICATION =====
+// The server only stores a salted PBKDF2 verifier of the password. Receivers prove they know it
+// by answering the server's one-time nonce with HMAC-SHA256(verifier, nonce), so nothing is replayable.
+const PASSWORD_VERIFIER_ITERATIONS = 100000;
+const PASSWORD_SALT_LENGTH = 16;
+
+// PBKDF2 salts are prefixed with what the result is for, so the verifier the server stores is
+// never the output of the derivation that produces a transfer's encryption key
+function labelledSalt(label, salt) {
+    const prefix = new TextEncoder().encode(`directdrop:${label}:`);
+    const bytes = new Uint8Array(prefix.length + salt.length);
+    bytes.set(prefix, 0);
+    bytes.set(salt, prefix.length);
+    return bytes;
+}
+
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+function generatePasswordSalt() {
+    return bytesToHex(crypto.getRandomValues(new Uint8Array(PASSWORD_SALT_LENGTH)));
+}
+
+async function derivePasswordVerifier(password, saltHex) {
     if (!password || password.length < 4) {
         return null;
     }
 
     try {
-        const encoder = new TextEncoder();
-        const data = encoder.encode(password);
-        const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-        const hashArray = Array.from(new Uint8Array(hashBuffer));
-        const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-        return hashHex;
+        const baseKey = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+        );
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: labelledSalt('password-verifier', hexToBytes(saltHex)), iterations: PASSWORD_VERIFIER_ITERATIONS, hash: 'SHA-256' },
+            baseKey,
+            256
+        );
+        return bytesToHex(new Uint8Array(bits));
     } catch (error) {
         console.error('Password hashing failed');
         return null;
     }
 }
 
+async function computePasswordProof(password, saltHex, nonce) {
+    const verifier = await derivePasswordVerifier(password, saltHex);
+    if (!verifier) {
+        return null;
+    }
+
+    try {
+        const key = await crypto.subtle.importKey(
+            'raw', hexToBytes(verifier), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+        );
+        const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(nonce));
+        return bytesToHex(new Uint8Array(signature));
+    } catch (error) {
+        console.error('Password proof failed');
+        return null;
+    }
+}
+
+// ===== INTEGRITY VERIFICATION =====
+// WebCrypto can't hash a stream, so the whole-file SHA-256 is computed incrementally here.
+// The rolling chunk hash chains WebCrypto digests: chain = SHA-256(previousChain || block).
+const HASH_READ_SIZE = 4 * 1024 * 1024; // 4MB slices when pre-hashing a file on the sender
+
+const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+function bytesToHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Incremental SHA-256: call update() with any number of buffers, then digest() once
+function createSha256() {
+    const state = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    const block = new Uint8Array(64);
+    const w = new Uint32Array(64);
+    let blockLength = 0;
+    let totalLength = 0;
+
+    function compress(bytes, offset) {
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            const x = w[i - 15];
+            const y = w[i - 2];
+            const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+            const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+        }
+
+        let a = state[0], b = state[1], c = state[2], d = state[3];
+        let e = state[4], f = state[5], g = state[6], h = state[7];
+
+        for (let i = 0; i < 64; i++) {
+            const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            const ch = (e & f) ^ (~e & g);
+            const t1 = (h + S1 + ch + SHA256_K[i] + w[i]) | 0;
+            const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const t2 = (S0 + maj) | 0;
+
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+
+        state[0] += a;
+        state[1] += b;
+        state[2] += c;
+        state[3] += d;
+        state[4] += e;
+        state[5] += f;
+        state[6] += g;
+        state[7] += h;
+    }
+
+    function update(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        let offset = 0;
+        totalLength += bytes.length;
+
+        // Top up a partially filled block first
+        if (blockLength > 0) {
+            const take = Math.min(64 - blockLength, bytes.length);
+            block.set(bytes.subarray(0, take), blockLength);
+            blockLength += take;
+            offset = take;
+            if (blockLength === 64) {
+                compress(block, 0);
+                blockLength = 0;
+            }
+        }
+
+        while (offset + 64 <= bytes.length) {
+            compress(bytes, offset);
+            offset += 64;
+        }
+
+        if (offset < bytes.length) {
+            block.set(bytes.subarray(offset), 0);
+            blockLength = bytes.length - offset;
+        }
+    }
+
+    function digest() {
+        const bitLength = totalLength * 8;
+        const padLength = blockLength < 56 ? 56 - blockLength : 120 - blockLength;
+        const padding = new Uint8Array(padLength + 8);
+        padding[0] = 0x80;
+
+        // 64-bit big-endian length (bitwise operators only cover 32 bits)
+        const high = Math.floor(bitLength / 0x100000000);
+        const low = bitLength >>> 0;
+        padding[padLength] = high >>> 24;
+        padding[padLength + 1] = (high >>> 16) & 0xff;
+        padding[padLength + 2] = (high >>> 8) & 0xff;
+        padding[padLength + 3] = high & 0xff;
+        padding[padLength + 4] = low >>> 24;
+        padding[padLength + 5] = (low >>> 16) & 0xff;
+        padding[padLength + 6] = (low >>> 8) & 0xff;
+        padding[padLength + 7] = low & 0xff;
+        update(padding);
+
+        const out = new Uint8Array(32);
+        for (let i = 0; i < 8; i++) {
+            out[i * 4] = state[i] >>> 24;
+            out[i * 4 + 1] = (state[i] >>> 16) & 0xff;
+            out[i * 4 + 2] = (state[i] >>> 8) & 0xff;
+            out[i * 4 + 3] = state[i] & 0xff;
+        }
+        return out;
+    }
+
+    return { update, digest };
+}
+
+// Hashes file content as it streams past. update() is synchronous so callers keep byte order
+// even from overlapping async handlers; the chained block digests run on an internal queue.
+function createFileHasher(blockSize = CHUNK_SIZE) {
+    const sha256 = createSha256();
+    let chain = new Uint8Array(32); // Rolling hash starts from 32 zero bytes
+    let pending = new Uint8Array(blockSize);
+    let pendingLength = 0;
+    let queue = Promise.resolve();
+
+    function chainBlock(blockBytes) {
+        queue = queue.then(async () => {
+            const input = new Uint8Array(chain.length + blockBytes.length);
+            input.set(chain, 0);
+            input.set(blockBytes, chain.length);
+            chain = new Uint8Array(await crypto.subtle.digest('SHA-256', input));
+        });
+    }
+
+    function update(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        sha256.update(bytes);
+
+        let offset = 0;
+        while (offset < bytes.length) {
+            const take = Math.min(blockSize - pendingLength, bytes.length - offset);
+            pending.set(bytes.subarray(offset, offset + take), pendingLength);
+            pendingLength += take;
+            offset += take;
+
+            if (pendingLength === blockSize) {
+                chainBlock(pending);
+                pending = new Uint8Array(blockSize);
+                pendingLength = 0;
+            }
+        }
+    }
+
+    async function digest() {
+        if (pendingLength > 0) {
+            chainBlock(pending.slice(0, pendingLength));
+            pendingLength = 0;
+        }
+        await queue;
+        return {
+            sha256: bytesToHex(sha256.digest()),
+            chunkHashChain: bytesToHex(chain)
+        };
+    }
+
+    return { update, digest };
+}
+
+// Pre-hash a file on the sender so the hashes can travel in the manifest.
+// Returns null if reading fails or shouldAbort() becomes true (e.g. the user picked another file).
+async function computeFileIntegrity(file, onProgress, shouldAbort) {
+    const hasher = createFileHasher(CHUNK_SIZE);
+
+    try {
+        for (let offset = 0; offset < file.size; offset += HASH_READ_SIZE) {
+            if (shouldAbort && shouldAbort()) {
+                return null;
+            }
+            const buffer = await file.slice(offset, offset + HASH_READ_SIZE).arrayBuffer();
+            hasher.update(buffer);
+            if (onProgress) {
+                onProgress(Math.min(offset + buffer.byteLength, file.size) / file.size);
+            }
+        }
+
+        const result = await hasher.digest();
+        return { ...result, hashBlockSize: CHUNK_SIZE };
+    } catch (error) {
+        console.error('Failed to compute file checksum:', error);
+        return null;
+    }
+}
+
+// ===== STREAMING ZIP =====
+// Builds a ZIP archive on demand from the selected files instead of in memory.
+// Entries are STORE'd so the archive size is known before any data is read,
+// which keeps the manifest, progress and resume-by-offset working unchanged.
+// CRCs go in data descriptors and are computed as the bytes stream past;
+// zip64 records are added when an entry, offset or entry count needs them.
+const ZIP_UINT32_MAX = 0xFFFFFFFF;
+const ZIP_UINT16_MAX = 0xFFFF;
+const ZIP_FLAGS = 0x0808; // Bit 3: CRC in data descriptor, bit 11: UTF-8 names
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+// Running CRC-32; start with 0xFFFFFFFF and xor the final value with 0xFFFFFFFF
+function crc32Update(crc, bytes) {
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return crc >>> 0;
+}
+
+function dosDateTime(timestamp) {
+    const date = new Date(timestamp || Date.now());
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+function writeUint64(view, offset, value) {
+    view.setUint32(offset, value % 0x100000000, true);
+    view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+}
+
+// entries: [{ file: File, path: string }]. Returns a Blob-like object
+// ({ name, size, type, slice(start, end).arrayBuffer() }) that sendFile()
+// and computeFileIntegrity() read like any other file.
+function createZipStream(entries, name) {
+    const encoder = new TextEncoder();
+    const crcs = new Array(entries.length).fill(null);
+    let crcProgress = { index: -1, position: 0, crc: ZIP_UINT32_MAX };
+    let centralDirectory = null;
+
+    // Lay out every local header, data block and data descriptor up front
+    const segments = [];
+    const records = [];
+    let position = 0;
+
+    entries.forEach((entry, index) => {
+        const nameBytes = encoder.encode(entry.path);
+        const size = entry.file.size;
+        const zip64 = size >= ZIP_UINT32_MAX;
+        const { time, date } = dosDateTime(entry.file.lastModified);
+
+        // A zip64 entry's local header carries a zip64 extra field too, so readers take the 8-byte
+        // sizes in its data descriptor; the sizes in both are 0 until the descriptor
+        const localExtraLength = zip64 ? 20 : 0;
+        const header = new Uint8Array(30 + nameBytes.length + localExtraLength);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, 0x04034b50, true);
+        view.setUint16(4, zip64 ? 45 : 20, true);
+        view.setUint16(6, ZIP_FLAGS, true);
+        view.setUint16(8, 0, true); // STORE
+        view.setUint16(10, time, true);
+        view.setUint16(12, date, true);
+        // CRC and sizes stay zero here (sizes flagged as zip64 when needed); they follow the data in the descriptor
+        if (zip64) {
+            view.setUint32(18, ZIP_UINT32_MAX, true);
+            view.setUint32(22, ZIP_UINT32_MAX, true);
+        }
+        view.setUint16(26, nameBytes.length, true);
+        view.setUint16(28, localExtraLength, true);
+        header.set(nameBytes, 30);
+        if (zip64) {
+            view.setUint16(30 + nameBytes.length, 0x0001, true);
+            view.setUint16(32 + nameBytes.length, 16, true);
+        }
+
+        records.push({ nameBytes, size, zip64, time, date, headerOffset: position });
+
+        segments.push({ start: position, length: header.length, bytes: header });
+        position += header.length;
+        if (size > 0) {
+            segments.push({ start: position, length: size, dataIndex: index });
+            position += size;
+        }
+        const descriptorLength = zip64 ? 24 : 16;
+        segments.push({ start: position, length: descriptorLength, descriptorIndex: index });
+        position += descriptorLength;
+    });
+
+    // Central directory size does not depend on the CRCs, so the total is known now
+    const centralDirectoryOffset = position;
+    let centralDirectoryLength = 0;
+    records.forEach(record => {
+        centralDirectoryLength += 46 + record.nameBytes.length + centralExtraLength(record);
+    });
+    const needsZip64End = records.length >= ZIP_UINT16_MAX ||
+        centralDirectoryOffset >= ZIP_UINT32_MAX || centralDirectoryLength >= ZIP_UINT32_MAX;
+    const endLength = (needsZip64End ? 56 + 20 : 0) + 22;
+    segments.push({ start: position, length: centralDirectoryLength + endLength, central: true });
+    position += centralDirectoryLength + endLength;
+
+    function centralExtraLength(record) {
+        const fields = (record.zip64 ? 2 : 0) + (record.headerOffset >= ZIP_UINT32_MAX ? 1 : 0);
+        return fields > 0 ? 4 + fields * 8 : 0;
+    }
+
+    // Fold streamed file bytes into that entry's CRC while reads stay sequential
+    function trackCrc(index, start, bytes) {
+        if (crcs[index] !== null) return;
+        if (crcProgress.index !== index && start === 0) {
+            crcProgress = { index, position: 0, crc: ZIP_UINT32_MAX };
+        }
+        if (crcProgress.index !== index || crcProgress.position !== start) return;
+
+        crcProgress.crc = crc32Update(crcProgress.crc, bytes);
+        crcProgress.position += bytes.length;
+        if (crcProgress.position === entries[index].file.size) {
+            crcs[index] = (crcProgress.crc ^ ZIP_UINT32_MAX) >>> 0;
+        }
+    }
+
+    // Read whatever part of the file was skipped (e.g. after jumping to a resume offset)
+    async function ensureCrc(index) {
+        if (crcs[index] !== null) return crcs[index];
+
+        const file = entries[index].file;
+        let crc = ZIP_UINT32_MAX;
+        let offset = 0;
+        if (crcProgress.index === index) {
+            crc = crcProgress.crc;
+            offset = crcProgress.position;
+        }
+        for (; offset < file.size; offset += HASH_READ_SIZE) {
+            const buffer = await file.slice(offset, offset + HASH_READ_SIZE).arrayBuffer();
+            crc = crc32Update(crc, new Uint8Array(buffer));
+        }
+        crcs[index] = (crc ^ ZIP_UINT32_MAX) >>> 0;
+        return crcs[index];
+    }
+
+    async function buildDescriptor(index) {
+        const record = records[index];
+        const descriptor = new Uint8Array(record.zip64 ? 24 : 16);
+        const view = new DataView(descriptor.buffer);
+        view.setUint32(0, 0x08074b50, true);
+        view.setUint32(4, await ensureCrc(index), true);
+        if (record.zip64) {
+            writeUint64(view, 8, record.size);
+            writeUint64(view, 16, record.size);
+        } else {
+            view.setUint32(8, record.size, true);
+            view.setUint32(12, record.size, true);
+        }
+        return descriptor;
+    }
+
+    async function buildCentralDirectory() {
+        const bytes = new Uint8Array(centralDirectoryLength + endLength);
+        const view = new DataView(bytes.buffer);
+        let offset = 0;
+
+        for (let index = 0; index < records.length; index++) {
+            const record = records[index];
+            const extraLength = centralExtraLength(record);
+            const offsetTooLarge = record.headerOffset >= ZIP_UINT32_MAX;
+
+            view.setUint32(offset, 0x02014b50, true);
+            view.setUint16(offset + 4, 45, true); // Made by: zip64-capable
+            view.setUint16(offset + 6, extraLength > 0 ? 45 : 20, true);
+            view.setUint16(offset + 8, ZIP_FLAGS, true);
+            view.setUint16(offset + 10, 0, true);
+            view.setUint16(offset + 12, record.time, true);
+            view.setUint16(offset + 14, record.date, true);
+            view.setUint32(offset + 16, await ensureCrc(index), true);
+            view.setUint32(offset + 20, record.zip64 ? ZIP_UINT32_MAX : record.size, true);
+            view.setUint32(offset + 24, record.zip64 ? ZIP_UINT32_MAX : record.size, true);
+            view.setUint16(offset + 28, record.nameBytes.length, true);
+            view.setUint16(offset + 30, extraLength, true);
+            view.setUint32(offset + 42, offsetTooLarge ? ZIP_UINT32_MAX : record.headerOffset, true);
+            bytes.set(record.nameBytes, offset + 46);
+            offset += 46 + record.nameBytes.length;
+
+            if (extraLength > 0) {
+                view.setUint16(offset, 0x0001, true);
+                view.setUint16(offset + 2, extraLength - 4, true);
+                let field = offset + 4;
+                if (record.zip64) {
+                    writeUint64(view, field, record.size);
+                    writeUint64(view, field + 8, record.size);
+                    field += 16;
+                }
+                if (offsetTooLarge) {
+                    writeUint64(view, field, record.headerOffset);
+                }
+                offset += extraLength;
+            }
+        }
+
+        if (needsZip64End) {
+            const zip64EndOffset = centralDirectoryOffset + centralDirectoryLength;
+            view.setUint32(offset, 0x06064b50, true);
+            writeUint64(view, offset + 4, 44);
+            view.setUint16(offset + 12, 45, true);
+            view.setUint16(offset + 14, 45, true);
+            writeUint64(view, offset + 24, records.length);
+            writeUint64(view, offset + 32, records.length);
+            writeUint64(view, offset + 40, centralDirectoryLength);
+            writeUint64(view, offset + 48, centralDirectoryOffset);
+            offset += 56;
+
+            view.setUint32(offset, 0x07064b50, true);
+            writeUint64(view, offset + 8, zip64EndOffset);
+            view.setUint32(offset + 16, 1, true);
+            offset += 20;
+        }
+
+        view.setUint32(offset, 0x06054b50, true);
+        view.setUint16(offset + 8, Math.min(records.length, ZIP_UINT16_MAX), true);
+        view.setUint16(offset + 10, Math.min(records.length, ZIP_UINT16_MAX), true);
+        view.setUint32(offset + 12, Math.min(centralDirectoryLength, ZIP_UINT32_MAX), true);
+        view.setUint32(offset + 16, Math.min(centralDirectoryOffset, ZIP_UINT32_MAX), true);
+        return bytes;
+    }
+
+    function findSegment(offset) {
+        let low = 0;
+        let high = segments.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (segments[mid].start <= offset) low = mid;
+            else high = mid - 1;
+        }
+        return low;
+    }
+
+    async function read(start, end) {
+        end = Math.min(end, position);
+        const output = new Uint8Array(Math.max(end - start, 0));
+        let written = 0;
+
+        for (let i = findSegment(start); i < segments.length && start + written < end; i++) {
+            const segment = segments[i];
+            const from = start + written - segment.start;
+            const to = Math.min(segment.length, end - segment.start);
+            let bytes;
+
+            if (segment.bytes) {
+                bytes = segment.bytes.subarray(from, to);
+            } else if (segment.dataIndex !== undefined) {
+                const buffer = await entries[segment.dataIndex].file.slice(from, to).arrayBuffer();
+                bytes = new Uint8Array(buffer);
+                trackCrc(segment.dataIndex, from, bytes);
+            } else if (segment.descriptorIndex !== undefined) {
+                bytes = (await buildDescriptor(segment.descriptorIndex)).subarray(from, to);
+            } else {
+                if (!centralDirectory) centralDirectory = await buildCentralDirectory();
+                bytes = centralDirectory.subarray(from, to);
+            }
+
+            output.set(bytes, written);
+            written += bytes.length;
+        }
+        return output.buffer;
+    }
+
+    return {
+        name,
+        size: position,
+        type: 'application/zip',
+        slice: (start = 0, end = position) => ({ arrayBuffer: () => read(start, end) })
+    };
+}
+
+// ===== STREAMING DOWNLOAD =====
+// Fallback for browsers without showSaveFilePicker: sw.js answers a synthetic
+// download URL with a stream that the page feeds over a MessageChannel, so the
+// browser writes the file to disk as it arrives instead of buffering it here.
+const STREAM_DOWNLOAD_PATH = '/stream-download/';
+const STREAM_DOWNLOAD_WINDOW = 16 * 1024 * 1024; // Bytes posted but not yet taken by the download
+const STREAM_DOWNLOAD_READY_TIMEOUT = 5000;
+
+function supportsStreamDownload() {
+    return 'serviceWorker' in navigator && typeof ReadableStream === 'function' && typeof MessageChannel === 'function';
+}
+
+// Resolves to a sequential writer ({ write, close, abort }) or null when no
+// service worker controls the page yet (e.g. the very first visit).
+async function createStreamDownload(name, size) {
+    const worker = supportsStreamDownload() && navigator.serviceWorker.controller;
+    if (!worker) return null;
+
+    const id = generateSecureRoomId() + Date.now().toString(36);
+    const channel = new MessageChannel();
+    const port = channel.port1;
+    let posted = 0;
+    let saved = 0;
+    let failure = null;
+    let wake = null;
+
+    port.onmessage = (event) => {
+        const message = event.data;
+        if (message.type === 'progress') {
+            saved = message.saved;
+        } else if (message.type === 'cancelled') {
+            failure = new Error('The download was cancelled in the browser');
+        }
+        if (wake) {
+            const resolve = wake;
+            wake = null;
+            resolve();
+        }
+    };
+
+    // Wait for the worker to know about the download before navigating to it
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            wake = null;
+            reject(new Error('Service worker did not respond'));
+        }, STREAM_DOWNLOAD_READY_TIMEOUT);
+        wake = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        worker.postMessage({ type: 'STREAM_DOWNLOAD', id, name, size }, [channel.port2]);
+    });
+
+    const frame = document.createElement('iframe');
+    frame.hidden = true;
+    frame.src = STREAM_DOWNLOAD_PATH + id;
+    document.body.appendChild(frame);
+
+    return {
+        sequential: true,
+        async write(data) {
+            if (failure) throw failure;
+            // Copy into a buffer of its own so it can be transferred without cloning a larger backing buffer
+            const chunk = data instanceof ArrayBuffer ? new Uint8Array(data.slice(0)) : new Uint8Array(data);
+            port.postMessage({ type: 'chunk', data: chunk.buffer }, [chunk.buffer]);
+            posted += chunk.byteLength;
+
+            while (posted - saved > STREAM_DOWNLOAD_WINDOW && !failure) {
+                await new Promise(resolve => { wake = resolve; });
+            }
+            if (failure) throw failure;
+        },
+        async close() {
+            port.postMessage({ type: 'end' });
+            // Removing the frame right away can cancel the download in some browsers
+            setTimeout(() => frame.remove(), 60000);
+        },
+        async abort() {
+            port.postMessage({ type: 'abort' });
+            port.close();
+            setTimeout(() => frame.remove(), 1000);
+        }
+    };
+}
+
+// ===== TRANSFER HISTORY =====
+// Sent and received transfers are kept in this browser's IndexedDB only, never on the server.
+// Entry: { id, direction: 'sent' | 'received', name, size, sha256, peer, roomId, startedAt, finishedAt,
+//          duration (seconds), averageSpeed (bytes per second), outcome, receipt }
+// outcome is 'verified', 'completed', 'corrupted', 'cancelled' or 'failed'.
+const HISTORY_DB_NAME = 'directdrop-history';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'transfers';
+const HISTORY_KEY_STORE = 'keys'; // The receipt signing key pair
+const MAX_HISTORY_ENTRIES = 500;
+
+let historyDatabasePromise = null;
+
+function openHistoryDatabase() {
+    if (!historyDatabasePromise) {
+        historyDatabasePromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+                request.result.createObjectStore(HISTORY_KEY_STORE);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        historyDatabasePromise.catch(() => { historyDatabasePromise = null; }); // Try again next time
+    }
+    return historyDatabasePromise;
+}
+
+// Runs fn(store) in its own transaction; resolves to the result of the request fn returns
+async function withHistoryStore(storeName, mode, fn) {
+    const db = await openHistoryDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = fn(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Resolves to the new entry's id, or null when it couldn't be saved
+async function recordTransfer({ direction, name, size, sha256, peer, roomId, startedAt, outcome, transferredBytes, receipt }) {
+    const finishedAt = Date.now();
+    const duration = Math.max(0, (finishedAt - startedAt) / 1000);
+    const bytes = typeof transferredBytes === 'number' ? transferredBytes : size;
+    const entry = {
+        direction,
+        name,
+        size,
+        sha256: sha256 || null,
+        peer: peer || null,
+        roomId: roomId || null,
+        startedAt,
+        finishedAt,
+        duration,
+        averageSpeed: duration > 0 ? bytes / duration : 0,
+        outcome,
+        receipt: receipt || null
+    };
+
+    try {
+        const id = await withHistoryStore(HISTORY_STORE, 'readwrite', store => store.add(entry));
+        // Drop the oldest entries beyond the limit
+        await withHistoryStore(HISTORY_STORE, 'readwrite', store => {
+            const keys = store.getAllKeys();
+            keys.onsuccess = () => keys.result.slice(0, -MAX_HISTORY_ENTRIES).forEach(key => store.delete(key));
+            return keys;
+        });
+        return id;
+    } catch (error) {
+        console.error('Failed to save transfer history:', error);
+        return null;
+    }
+}
+
+async function updateTransferRecord(id, changes) {
+    try {
+        await withHistoryStore(HISTORY_STORE, 'readwrite', store => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (request.result) store.put({ ...request.result, ...changes });
+            };
+            return request;
+        });
+    } catch (error) {
+        console.error('Failed to update transfer history:', error);
+    }
+}
+
+// Newest first; [] when the history can't be read
+async function getTransferHistory() {
+    try {
+        const entries = await withHistoryStore(HISTORY_STORE, 'readonly', store => store.getAll());
+        return entries.reverse();
+    } catch (error) {
+        console.error('Failed to read transfer history:', error);
+        return [];
+    }
+}
+
+function clearTransferHistory() {
+    return withHistoryStore(HISTORY_STORE, 'readwrite', store => store.clear());
+}
+
+function transferHistoryToCsv(entries) {
+    const columns = ['finishedAt', 'direction', 'name', 'size', 'sha256', 'peer', 'roomId', 'duration', 'averageSpeed', 'outcome', 'receipt'];
+    const csvField = (value) => {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@]/.test(text)) text = `'${text}`; // Keep spreadsheets from running names as formulas
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = entries.map(entry => columns.map(column => {
+        if (column === 'finishedAt') return csvField(new Date(entry.finishedAt).toISOString());
+        if (column === 'duration' || column === 'averageSpeed') return csvField(Math.round(entry[column]));
+        if (column === 'receipt') return csvField(entry.receipt ? 'yes' : 'no');
+        return csvField(entry[column]);
+    }).join(','));
+    return [columns.join(','), ...rows].join('\r\n');
+}
+
+function downloadTextFile(name, text, type) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type }));
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// ===== DELIVERY RECEIPTS =====
+// When a file arrives with a matching SHA-256, the receiver signs { roomId, sha256, name, size,
+// receivedAt } with an ECDSA key that never leaves its browser and hands the receipt to the sender.
+// Both keep the same receipt; anyone can check it against the public key it carries.
+const RECEIPT_VERSION = 1;
+const RECEIPT_KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const RECEIPT_SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+async function getReceiptSigningKey() {
+    let keyPair = await withHistoryStore(HISTORY_KEY_STORE, 'readonly', store => store.get('receipt-signing'));
+    if (!keyPair) {
+        // The private key is not extractable; IndexedDB stores the CryptoKey itself
+        keyPair = await crypto.subtle.generateKey(RECEIPT_KEY_ALGORITHM, false, ['sign', 'verify']);
+        await withHistoryStore(HISTORY_KEY_STORE, 'readwrite', store => store.put(keyPair, 'receipt-signing'));
+    }
+    return keyPair;
+}
+
+// The signed fields in a fixed order
+function receiptPayloadBytes(receipt) {
+    return new TextEncoder().encode(JSON.stringify([
+        receipt.version, receipt.roomId, receipt.sha256, receipt.name, receipt.size, receipt.receivedAt
+    ]));
+}
+
+// Resolves to the receipt, or null when this browser can't sign one
+async function createDeliveryReceipt({ roomId, sha256, name, size }) {
+    try {
+        const keyPair = await getReceiptSigningKey();
+        const receipt = {
+            version: RECEIPT_VERSION,
+            roomId,
+            sha256,
+            name,
+            size,
+            receivedAt: new Date().toISOString(),
+            publicKey: await crypto.subtle.exportKey('jwk', keyPair.publicKey)
+        };
+        const signature = await crypto.subtle.sign(RECEIPT_SIGNATURE_ALGORITHM, keyPair.privateKey, receiptPayloadBytes(receipt));
+        receipt.signature = bytesToBase64(new Uint8Array(signature));
+        return receipt;
+    } catch (error) {
+        console.error('Failed to create delivery receipt:', error);
+        return null;
+    }
+}
+
+// True when the receipt is for this room and file and its signature checks out
+async function verifyDeliveryReceipt(receipt, { roomId, sha256 }) {
+    if (!receipt || typeof receipt !== 'object' || receipt.version !== RECEIPT_VERSION ||
+        receipt.roomId !== roomId || receipt.sha256 !== sha256 ||
+        typeof receipt.signature !== 'string' || !receipt.publicKey || typeof receipt.publicKey !== 'object') {
+        return false;
+    }
+    try {
+        const publicKey = await crypto.subtle.importKey('jwk', receipt.publicKey, RECEIPT_KEY_ALGORITHM, false, ['verify']);
+        return await crypto.subtle.verify(RECEIPT_SIGNATURE_ALGORITHM, publicKey, base64ToBytes(receipt.signature), receiptPayloadBytes(receipt));
+    } catch (error) {
+        return false;
+    }
+}
+
+// ===== DATA CHANNEL ENCRYPTION =====
+// Opt-in AES-GCM on top of WebRTC's DTLS, keyed from the transfer password.
+// Each payload is a fresh 12-byte IV followed by the ciphertext and tag.
+// The server holds a verifier of the same password, which anyone who obtains it can attack offline,
+// so encryption asks for a much longer password than protecting a link does.
+const MIN_ENCRYPTION_PASSWORD_LENGTH = 12;
+const ENCRYPTION_KDF_ITERATIONS = 250000;
+const ENCRYPTION_SALT_LENGTH = 16;
+const ENCRYPTION_IV_LENGTH = 12;
+const ENCRYPTED_FILE_NAME = 'encrypted'; // Placeholder name in the unsealed manifest
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+async function deriveTransferKey(password, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: labelledSalt('transfer-key', salt), iterations, hash: 'SHA-256' },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// Binds a chunk to its file offset so chunks can't be reordered or replayed
+function chunkAdditionalData(offset) {
+    const bytes = new Uint8Array(8);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, Math.floor(offset / 0x100000000));
+    view.setUint32(4, offset >>> 0);
+    return bytes;
+}
+
+async function encryptPayload(key, data, additionalData) {
+    const iv = crypto.getRandomValues(new Uint8Array(ENCRYPTION_IV_LENGTH));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData }, key, data);
+    const payload = new Uint8Array(ENCRYPTION_IV_LENGTH + ciphertext.byteLength);
+    payload.set(iv, 0);
+    payload.set(new Uint8Array(ciphertext), ENCRYPTION_IV_LENGTH);
+    return payload.buffer;
+}
+
+// Rejects if the key is wrong or the payload was tampered with
+async function decryptPayload(key, data, additionalData) {
+    const bytes = new Uint8Array(data);
+    const iv = bytes.subarray(0, ENCRYPTION_IV_LENGTH);
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData }, key, bytes.subarray(ENCRYPTION_IV_LENGTH));
+}
+
+async function sealMetadata(key, fields) {
+    const plaintext = new TextEncoder().encode(JSON.stringify(fields));
+    const sealed = await encryptPayload(key, plaintext, new TextEncoder().encode('file-meta'));
+    return bytesToBase64(new Uint8Array(sealed));
+}
+
+async function openSealedMetadata(key, sealed) {
+    const plaintext = await decryptPayload(key, base64ToBytes(sealed), new TextEncoder().encode('file-meta'));
+    return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+// ===== FLOW CONTROL =====
+// Tunes the chunk size and the data channel's buffer watermarks from measured throughput and RTT.
+// The high watermark tracks the bandwidth-delay product so a fast LAN never waits on an empty
+// buffer, while a slow or relayed link doesn't queue seconds of data behind congestion.
+const MIN_CHUNK_SIZE = 16 * 1024; // 16KB - safe for every browser and relay
+const MAX_CHUNK_SIZE = 1024 * 1024; // 1MB - capped further by the connection's maxMessageSize
+const CHUNK_HEADROOM = 64; // Room for the chunk frame header and encryption IV and tag inside one message
+const MIN_BUFFER_HIGH_WATERMARK = 256 * 1024;
+const MAX_BUFFER_HIGH_WATERMARK = 16 * 1024 * 1024;
+const CHUNK_TARGET_DURATION = 0.02; // Aim for ~20ms of data per chunk
+const FLOW_STATS_INTERVAL = 1000; // How often pc.getStats() is sampled
+
+function createFlowController(pc, dataChannel, onStats) {
+    const maxMessageSize = pc.sctp && pc.sctp.maxMessageSize ? pc.sctp.maxMessageSize : 256 * 1024;
+    const maxChunkSize = Math.max(MIN_CHUNK_SIZE, Math.min(MAX_CHUNK_SIZE, maxMessageSize - CHUNK_HEADROOM));
+
+    const stats = {
+        chunkSize: Math.min(CHUNK_SIZE, maxChunkSize),
+        highWatermark: MIN_BUFFER_HIGH_WATERMARK,
+        lowWatermark: MIN_BUFFER_HIGH_WATERMARK / 2,
+        throughput: 0, // Bytes per second leaving the data channel
+        rtt: null, // Seconds, from the selected candidate pair
+        minRtt: null, // Lowest RTT seen; RTT well above it means packets are queueing
+        availableBitrate: null, // Bits per second the browser's congestion control estimates
+        bufferedAmount: 0,
+        candidateType: null, // host, srflx, prflx or relay
+        limitedBy: 'starting' // What currently holds the transfer back
+    };
+    let lastBytesSent = null;
+    let lastSampleTime = null;
+    let timer = null;
+
+    dataChannel.bufferedAmountLowThreshold = stats.lowWatermark;
+
+    async function sample() {
+        let report;
+        try {
+            report = await pc.getStats();
+        } catch (error) {
+            return;
+        }
+
+        let bytesSent = null;
+        let pair = null;
+        let selectedPairId = null;
+        report.forEach(entry => {
+            if (entry.type === 'data-channel' && entry.label === dataChannel.label) {
+                bytesSent = entry.bytesSent;
+            } else if (entry.type === 'transport' && entry.selectedCandidatePairId) {
+                selectedPairId = entry.selectedCandidatePairId;
+            }
+        });
+        report.forEach(entry => {
+            if (entry.type === 'candidate-pair' &&
+                (selectedPairId ? entry.id === selectedPairId : entry.nominated && entry.state === 'succeeded')) {
+                pair = entry;
+            }
+        });
+
+        const now = performance.now();
+        if (bytesSent !== null && lastBytesSent !== null && now > lastSampleTime) {
+            stats.throughput = (bytesSent - lastBytesSent) / ((now - lastSampleTime) / 1000);
+        }
+        lastBytesSent = bytesSent;
+        lastSampleTime = now;
+
+        if (pair) {
+            if (typeof pair.currentRoundTripTime === 'number') {
+                stats.rtt = pair.currentRoundTripTime;
+                stats.minRtt = stats.minRtt === null ? stats.rtt : Math.min(stats.minRtt, stats.rtt);
+            }
+            if (typeof pair.availableOutgoingBitrate === 'number') {
+                stats.availableBitrate = pair.availableOutgoingBitrate;
+            }
+            const local = report.get(pair.localCandidateId);
+            if (local) {
+                stats.candidateType = local.candidateType;
+            }
+        }
+
+        tune();
+        if (onStats) {
+            onStats(getStats());
+        }
+    }
+
+    function tune() {
+        stats.bufferedAmount = dataChannel.bufferedAmount;
+
+        // Best bandwidth estimate: what we measured, or what congestion control expects when higher
+        const estimate = Math.max(stats.throughput, (stats.availableBitrate || 0) / 8);
+        if (estimate <= 0) return;
+
+        // Keep about two bandwidth-delay products queued; while RTT is inflated by queueing,
+        // size the buffer from the uncongested RTT instead so we stop adding to the queue
+        const rtt = stats.rtt === null ? 0.1 : stats.rtt;
+        const congested = stats.minRtt !== null && rtt > stats.minRtt * 2 + 0.02;
+        const bdp = estimate * (congested ? stats.minRtt : rtt);
+        stats.highWatermark = Math.round(Math.min(MAX_BUFFER_HIGH_WATERMARK,
+            Math.max(MIN_BUFFER_HIGH_WATERMARK, bdp * 2, stats.chunkSize * 4)));
+        stats.lowWatermark = Math.round(stats.highWatermark / 2);
+        dataChannel.bufferedAmountLowThreshold = stats.lowWatermark;
+
+        // Power-of-two chunk sizes holding ~20ms of data; shrink straight away under congestion
+        const target = Math.pow(2, Math.round(Math.log2(Math.max(1, estimate * CHUNK_TARGET_DURATION))));
+        const nextChunkSize = Math.min(maxChunkSize, Math.max(MIN_CHUNK_SIZE, congested ? Math.min(target, stats.chunkSize / 2) : target));
+        stats.chunkSize = nextChunkSize;
+
+        if (congested) {
+            stats.limitedBy = 'network congestion';
+        } else if (stats.bufferedAmount >= stats.lowWatermark) {
+            stats.limitedBy = stats.candidateType === 'relay' ? 'relay bandwidth' : 'network bandwidth';
+        } else {
+            stats.limitedBy = 'reading the file';
+        }
+    }
+
+    function getStats() {
+        return { ...stats, bufferedAmount: dataChannel.bufferedAmount };
+    }
+
+    return {
+        get chunkSize() {
+            return stats.chunkSize;
+        },
+        // True while the data channel has room for another chunk
+        canSend() {
+            return dataChannel.bufferedAmount < stats.highWatermark;
+        },
+        start() {
+            if (!timer) {
+                timer = setInterval(sample, FLOW_STATS_INTERVAL);
+            }
+        },
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+        getStats
+    };
+}
+
+// ===== PARALLEL DATA CHANNELS =====
+// Large transfers can be striped across several unordered channels next to the ordered `fileTransfer`
+// control channel. Chunk frames carry their file offset, so the receiver puts them back in place
+// however they arrive.
+const STRIPE_CHANNEL_PREFIX = 'fileData-';
+const MAX_PARALLEL_CHANNELS = 8;
+
+// ===== WIRE PROTOCOL =====
+// Every data channel message is a binary frame:
+//   byte 0      protocol version
+//   byte 1      frame type
+//   bytes 2-3   flags (bit 0: more fragments of this message follow)
+// Chunk frames continue with a 4-byte file index and an 8-byte file offset, then the (possibly
+// encrypted) file bytes. Control, manifest, ack and error frames carry a UTF-8 JSON body, split
+// into fragments when it is larger than one data channel message may be.
+// Peers open with a version 1 `hello` control frame listing the versions they speak; the receiver
+// answers with the highest common one, or an error frame if there is none.
+const PROTOCOL_VERSION = 1;
+const SUPPORTED_PROTOCOL_VERSIONS = [1];
+const FRAME_TYPE = { CHUNK: 1, CONTROL: 2, MANIFEST: 3, ACK: 4, ERROR: 5 };
+const FRAME_FLAG_MORE = 0x1;
+const FRAME_HEADER_SIZE = 4;
+const CHUNK_FRAME_HEADER_SIZE = 16;
+const MAX_FRAGMENT_SIZE = 64 * 1024; // Below every browser's maxMessageSize
+const MAX_MESSAGE_FRAME_SIZE = 4 * 1024 * 1024; // Whole JSON body after reassembly
+const ACK_INTERVAL = 4 * 1024 * 1024; // Receiver acknowledges saved bytes about every 4MB
+
+function writeFrameHeader(view, version, type, flags = 0) {
+    view.setUint8(0, version);
+    view.setUint8(1, type);
+    view.setUint16(2, flags);
+}
+
+function encodeChunkFrame(offset, payload, fileIndex = 0, version = PROTOCOL_VERSION) {
+    const frame = new Uint8Array(CHUNK_FRAME_HEADER_SIZE + payload.byteLength);
+    const view = new DataView(frame.buffer);
+    writeFrameHeader(view, version, FRAME_TYPE.CHUNK);
+    view.setUint32(4, fileIndex);
+    frame.set(chunkAdditionalData(offset), 8); // Same big-endian layout as the encryption AAD
+    frame.set(new Uint8Array(payload), CHUNK_FRAME_HEADER_SIZE);
+    return frame.buffer;
+}
+
+// Control, manifest, ack and error messages; returns one frame per fragment
+function encodeMessageFrames(type, body, version = PROTOCOL_VERSION) {
+    const json = new TextEncoder().encode(JSON.stringify(body));
+    if (json.byteLength > MAX_MESSAGE_FRAME_SIZE) {
+        throw new Error('Message too large');
+    }
+
+    const frames = [];
+    let offset = 0;
+    do {
+        const fragment = json.subarray(offset, offset + MAX_FRAGMENT_SIZE);
+        offset += fragment.byteLength;
+        const frame = new Uint8Array(FRAME_HEADER_SIZE + fragment.byteLength);
+        writeFrameHeader(new DataView(frame.buffer), version, type, offset < json.byteLength ? FRAME_FLAG_MORE : 0);
+        frame.set(fragment, FRAME_HEADER_SIZE);
+        frames.push(frame.buffer);
+    } while (offset < json.byteLength);
+    return frames;
+}
+
+function sendMessageFrames(channel, type, body, version = PROTOCOL_VERSION) {
+    encodeMessageFrames(type, body, version).forEach(frame => channel.send(frame));
+}
+
+// Returns { version, type, fileIndex, offset, payload } for chunks and { version, type, more, data } otherwise.
+// Throws on anything malformed or in a version we don't speak.
+function decodeFrame(buffer) {
+    if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < FRAME_HEADER_SIZE) {
+        throw new Error('Malformed frame');
+    }
+    const view = new DataView(buffer);
+    const version = view.getUint8(0);
+    const type = view.getUint8(1);
+    const flags = view.getUint16(2);
+    if (!SUPPORTED_PROTOCOL_VERSIONS.includes(version)) {
+        throw new Error(`Unsupported protocol version ${version}`);
+    }
+
+    if (type === FRAME_TYPE.CHUNK) {
+        if (buffer.byteLength <= CHUNK_FRAME_HEADER_SIZE) {
+            throw new Error('Malformed chunk frame');
+        }
+        return {
+            version,
+            type,
+            fileIndex: view.getUint32(4),
+            offset: view.getUint32(8) * 0x100000000 + view.getUint32(12),
+            payload: buffer.slice(CHUNK_FRAME_HEADER_SIZE)
+        };
+    }
+
+    if (!Object.values(FRAME_TYPE).includes(type)) {
+        throw new Error(`Unknown frame type ${type}`);
+    }
+    return { version, type, more: (flags & FRAME_FLAG_MORE) !== 0, data: new Uint8Array(buffer, FRAME_HEADER_SIZE) };
+}
+
+// Decodes the frames of one ordered channel, joining message fragments.
+// read() returns a chunk frame, a complete { version, type, body } message, or null while fragments are pending.
+function createFrameReader() {
+    let fragments = [];
+    let fragmentBytes = 0;
+
+    function read(buffer) {
+        const frame = decodeFrame(buffer);
+        if (frame.type === FRAME_TYPE.CHUNK) {
+            return frame;
+        }
+
+        fragmentBytes += frame.data.byteLength;
+        if (fragmentBytes > MAX_MESSAGE_FRAME_SIZE || (fragments.length > 0 && fragments[0].type !== frame.type)) {
+            fragments = [];
+            fragmentBytes = 0;
+            throw new Error('Malformed message');
+        }
+        fragments.push(frame);
+        if (frame.more) {
+            return null;
+        }
+
+        const json = new Uint8Array(fragmentBytes);
+        let offset = 0;
+        fragments.forEach(fragment => {
+            json.set(fragment.data, offset);
+            offset += fragment.data.byteLength;
+        });
+        fragments = [];
+        fragmentBytes = 0;
+
+        const body = JSON.parse(new TextDecoder().decode(json));
+        if (!body || typeof body !== 'object') {
+            throw new Error('Malformed message');
+        }
+        return { version: frame.version, type: frame.type, body };
+    }
+
+    return { read };
+}
+
+// Highest version both sides speak, or null
+function negotiateProtocolVersion(offeredVersions) {
+    if (!Array.isArray(offeredVersions)) return null;
+    const common = SUPPORTED_PROTOCOL_VERSIONS.filter(version => offeredVersions.includes(version));
+    return common.length > 0 ? Math.max(...common) : null;
+}
+
+// Hello frames always use version 1 framing so any peer can read them
+function sendHello(channel, fields) {
+    sendMessageFrames(channel, FRAME_TYPE.CONTROL, { type: 'hello', ...fields }, 1);
+}
+
 // ===== FAQ TOGGLE FUNCTION =====
 function toggleFAQ(questionElement) {
     const faqItem = questionElement.parentNode;
@@ -380,4 +1758,16 @@ function toggleFAQ(questionElement) {
     // Toggle current item
     answer.classList.toggle('active');
     toggle.classList.toggle('active');
-}
\ No newline at end of file
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        debugLog, chunkAdditionalData, encryptPayload, decryptPayload, createFlowController,
+        STRIPE_CHANNEL_PREFIX, PROTOCOL_VERSION, SUPPORTED_PROTOCOL_VERSIONS, FRAME_TYPE, FRAME_FLAG_MORE,
+        MAX_FRAGMENT_SIZE, MAX_MESSAGE_FRAME_SIZE, ACK_INTERVAL,
+        encodeChunkFrame, encodeMessageFrames, sendMessageFrames, decodeFrame, createFrameReader,
+        negotiateProtocolVersion, sendHello,
+        MAX_MANIFEST_FILES, isValidManifest, MAX_PREVIEW_LENGTH, isValidPreview, createZipStream,
+        generatePasswordSalt, derivePasswordVerifier, computePasswordProof, deriveTransferKey, sealMetadata, openSealedMetadata
+    };
+}
@@ -0,0 +1,149 @@
+// Payload schemas for the signaling server's socket events.
+//
+// Every event a client can emit has a schema built from the field checkers below.
+// validateEvent(event, data) returns null for an acceptable payload, or the first problem as
+//   { code, message, field }
+// which server.js sends back to the emitter instead of dropping the message without a word.
+//   code: 'invalid-payload' - the payload isn't an object
+//         'invalid-field'   - a field is missing, has the wrong type or is out of bounds (see field)
+//         'unknown-event'   - there is no schema for the event
+
+const MAX_SDP_LENGTH = 64 * 1024;
+const MAX_CANDIDATE_LENGTH = 1024;
+const MAX_PEER_ID_LENGTH = 64;
+const MAX_TOKEN_LENGTH = 128;
+const MAX_FILE_SIZE = 10 * 1024 * 1024 * 1024; // Same 10GB limit as the pages
+
+// --- Value checks shared with server.js ---
+function isValidRoomId(roomId) {
+    return typeof roomId === 'string' && /^[a-zA-Z0-9]{8,15}$/.test(roomId);
+}
+
+function isValidHex(value, length) {
+    return typeof value === 'string' && value.length === length && /^[a-f0-9]+$/.test(value);
+}
+
+// --- Field checkers ---
+// A checker takes the value (and the object holding it) and returns null when it is fine,
+// a message when it isn't, or { field, message } for a problem inside a nested object.
+function string({ min = 0, max = Infinity, pattern = null, values = null } = {}) {
+    return value => {
+        if (typeof value !== 'string') return 'must be a string';
+        if (value.length < min) return min === 1 ? 'must not be empty' : `must be at least ${min} characters`;
+        if (value.length > max) return `must be at most ${max} characters`;
+        if (pattern && !pattern.test(value)) return 'has an invalid format';
+        if (values && !values.includes(value)) return `must be one of: ${values.join(', ')}`;
+        return null;
+    };
+}
+
+function integer({ min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+    return value => {
+        if (!Number.isInteger(value)) return 'must be an integer';
+        if (value < min || value > max) return `must be between ${min} and ${max}`;
+        return null;
+    };
+}
+
+function boolean() {
+    return value => typeof value === 'boolean' ? null : 'must be true or false';
+}
+
+function optional(check) {
+    return (value, parent) => value === undefined ? null : check(value, parent);
+}
+
+function nullable(check) {
+    return (value, parent) => value === null ? null : check(value, parent);
+}
+
+// A check that needs more than the field's type, e.g. a room id's alphabet
+function rule(isValid, message) {
+    return (value, parent) => isValid(value, parent) ? null : message;
+}
+
+// Fields not listed are left alone; only the listed ones are checked, in order
+function object(fields) {
+    return value => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+        for (const [key, check] of Object.entries(fields)) {
+            const problem = check(value[key], value);
+            if (problem) {
+                return typeof problem === 'string'
+                    ? { field: key, message: problem }
+                    : { field: `${key}.${problem.field}`, message: problem.message };
+            }
+        }
+        return null;
+    };
+}
+
+// --- Event schemas ---
+const roomId = rule(isValidRoomId, 'must be 8 to 15 letters or digits');
+const peerId = string({ min: 1, max: MAX_PEER_ID_LENGTH }); // Socket id of the peer the message is for
+const hex = length => rule(value => isValidHex(value, length), `must be ${length} lowercase hex characters`);
+
+function sessionDescription(type) {
+    return object({
+        type: string({ values: [type] }),
+        sdp: string({ min: 1, max: MAX_SDP_LENGTH })
+    });
+}
+
+// The fields of RTCIceCandidate.toJSON(); an empty candidate string marks the end of candidates
+const iceCandidate = object({
+    candidate: string({ max: MAX_CANDIDATE_LENGTH }),
+    sdpMid: optional(nullable(string({ max: 64 }))),
+    sdpMLineIndex: optional(nullable(integer({ max: 1023 }))),
+    usernameFragment: optional(nullable(string({ max: 256 })))
+});
+
+const EVENT_SCHEMAS = {
+    'check-room': object({ roomId }),
+    'verify-password': object({ roomId, proof: hex(64) }),
+    // Link settings and file request fields are range-checked by the handler, which knows whether the room is new
+    'join-room': object({
+        roomId,
+        passwordVerifier: optional(nullable(hex(64))),
+        passwordSalt: optional(nullable(hex(32))),
+        isProtected: optional(boolean()),
+        accessToken: optional(nullable(string({ max: MAX_TOKEN_LENGTH }))),
+        linkExpiry: optional(integer()),
+        maxDownloads: optional(nullable(integer())),
+        direction: optional(string({ values: ['send', 'request'] })),
+        note: optional(nullable(string())),
+        maxSize: optional(nullable(integer()))
+    }),
+    'offer': object({ roomId, to: peerId, sdp: sessionDescription('offer') }),
+    'answer': object({ roomId, to: peerId, sdp: sessionDescription('answer') }),
+    'ice-candidate': object({ roomId, to: peerId, candidate: iceCandidate }),
+    'transfer-confirmed': object({
+        roomId,
+        to: peerId,
+        // 'failed' when the receiver got the data but couldn't save it
+        integrity: optional(string({ values: ['verified', 'corrupted', 'unverified', 'failed'] })),
+        bytes: optional(integer({ max: MAX_FILE_SIZE })) // Size received, for the server's metrics
+    })
+};
+
+function validateEvent(event, data) {
+    const schema = EVENT_SCHEMAS[event];
+    if (!schema) {
+        return { code: 'unknown-event', message: `Unknown event "${event}"`, field: null };
+    }
+    const problem = schema(data);
+    if (!problem) {
+        return null;
+    }
+    if (typeof problem === 'string') {
+        return { code: 'invalid-payload', message: `Payload ${problem}`, field: null };
+    }
+    return { code: 'invalid-field', message: `${problem.field} ${problem.message}`, field: problem.field };
+}
+
+module.exports = {
+    EVENT_NAMES: Object.keys(EVENT_SCHEMAS),
+    validateEvent,
+    isValidRoomId,
+    isValidHex
+};
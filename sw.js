@@ -19,10 +19,81 @@ self.addEventListener('install', (event) => {
   );
 });
 
+// Streaming downloads - the receive page registers a download with a MessagePort,
+// then opens /stream-download/<id>; the bytes it posts become the response body
+// so the browser saves them to disk as they arrive.
+const STREAM_DOWNLOAD_PATH = '/stream-download/';
+const STREAM_DOWNLOAD_HIGH_WATER_MARK = 1024 * 1024;
+const streamDownloads = new Map(); // id -> { name, size, port }
+
+self.addEventListener('message', (event) => {
+  const data = event.data;
+  if (!data || data.type !== 'STREAM_DOWNLOAD' || !event.ports[0]) return;
+
+  const port = event.ports[0];
+  streamDownloads.set(String(data.id), { name: String(data.name || 'download'), size: data.size, port });
+  port.postMessage({ type: 'ready' });
+});
+
+function createStreamDownloadResponse(id) {
+  const download = streamDownloads.get(id);
+  if (!download) {
+    return new Response('Download not found', { status: 404 });
+  }
+  streamDownloads.delete(id);
+
+  const { port } = download;
+  let enqueued = 0;
+
+  const stream = new ReadableStream({
+    start(controller) {
+      port.onmessage = (event) => {
+        const message = event.data;
+        if (message.type === 'chunk') {
+          controller.enqueue(new Uint8Array(message.data));
+          enqueued += message.data.byteLength;
+        } else if (message.type === 'end') {
+          controller.close();
+          port.close();
+        } else if (message.type === 'abort') {
+          controller.error(new Error('Transfer cancelled'));
+          port.close();
+        }
+      };
+    },
+    pull(controller) {
+      // Whatever is no longer queued has been handed to the download
+      const queued = Math.max(0, STREAM_DOWNLOAD_HIGH_WATER_MARK - controller.desiredSize);
+      port.postMessage({ type: 'progress', saved: enqueued - queued });
+    },
+    cancel() {
+      port.postMessage({ type: 'cancelled' });
+      port.close();
+    }
+  }, new ByteLengthQueuingStrategy({ highWaterMark: STREAM_DOWNLOAD_HIGH_WATER_MARK }));
+
+  const headers = new Headers({
+    'Content-Type': 'application/octet-stream',
+    'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(download.name)}`,
+    'Content-Security-Policy': "default-src 'none'",
+    'X-Content-Type-Options': 'nosniff'
+  });
+  if (Number.isSafeInteger(download.size) && download.size >= 0) {
+    headers.set('Content-Length', String(download.size));
+  }
+
+  return new Response(stream, { headers });
+}
+
 // Fetch event - network-first for HTML/JS, cache-first for CSS/images
 self.addEventListener('fetch', (event) => {
   const url = new URL(event.request.url);
 
+  if (url.origin === self.location.origin && url.pathname.startsWith(STREAM_DOWNLOAD_PATH)) {
+    event.respondWith(createStreamDownloadResponse(url.pathname.slice(STREAM_DOWNLOAD_PATH.length)));
+    return;
+  }
+
   // Check if this is an image file
   const isImage = url.pathname.match(/\.(jpg|jpeg|png|gif|svg|webp|ico)$/i);
 
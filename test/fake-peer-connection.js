@@ -0,0 +1,154 @@
+// In-memory stand-in for RTCPeerConnection, enough for TransferSession.
+//
+// The offer names the connection that made it; when that side accepts the answer, every data
+// channel it created gets a twin on the answering side (announced through ondatachannel) and both
+// ends open. Messages are copied and delivered asynchronously; unordered channels deliver in a
+// shuffled order so reassembly by offset is exercised.
+let nextConnectionId = 1;
+const offering = new Map(); // id -> connection that sent an offer and awaits the answer
+const answering = new Set(); // Connections that accepted an offer and haven't been connected yet
+
+class FakeDataChannel {
+    constructor(label, { ordered = true } = {}) {
+        this.label = label;
+        this.ordered = ordered;
+        this.readyState = 'connecting';
+        this.binaryType = 'blob';
+        this.bufferedAmount = 0;
+        this.bufferedAmountLowThreshold = 0;
+        this.remote = null;
+        this.listeners = { open: [] };
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+        this.onerror = null;
+        this.onbufferedamountlow = null;
+        this.sentMessages = 0;
+    }
+
+    addEventListener(event, listener, { once = false } = {}) {
+        const wrapped = once
+            ? (...args) => {
+                this.listeners[event] = this.listeners[event].filter(entry => entry !== wrapped);
+                listener(...args);
+            }
+            : listener;
+        (this.listeners[event] = this.listeners[event] || []).push(wrapped);
+    }
+
+    open() {
+        this.readyState = 'open';
+        if (this.onopen) this.onopen();
+        (this.listeners.open || []).slice().forEach(listener => listener());
+    }
+
+    send(data) {
+        if (this.readyState !== 'open') {
+            throw new Error('Data channel is not open');
+        }
+        this.sentMessages++;
+        const bytes = ArrayBuffer.isView(data)
+            ? data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength)
+            : data.slice(0);
+        const remote = this.remote;
+        const delay = this.ordered ? 0 : Math.floor(Math.random() * 3);
+        setTimeout(() => {
+            if (remote.readyState === 'open' && remote.onmessage) {
+                remote.onmessage({ data: bytes });
+            }
+        }, delay);
+    }
+
+    close() {
+        if (this.readyState === 'closed') return;
+        this.readyState = 'closed';
+        if (this.onclose) this.onclose();
+        if (this.remote) this.remote.close();
+    }
+}
+
+class FakePeerConnection {
+    constructor(config) {
+        this.config = config;
+        this.id = nextConnectionId++;
+        this.channels = [];
+        this.localDescription = null;
+        this.remoteDescription = null;
+        this.signalingState = 'stable';
+        this.iceConnectionState = 'new';
+        this.addedCandidates = [];
+        this.oniceconnectionstatechange = null;
+        this.onicecandidate = null;
+        this.ondatachannel = null;
+        this.closed = false;
+    }
+
+    createDataChannel(label, options) {
+        const channel = new FakeDataChannel(label, options);
+        this.channels.push(channel);
+        return channel;
+    }
+
+    async createOffer() {
+        return { type: 'offer', sdp: `fake-offer ${this.id}` };
+    }
+
+    async createAnswer() {
+        return { type: 'answer', sdp: `fake-answer ${this.id}` };
+    }
+
+    async setLocalDescription(description) {
+        this.localDescription = description;
+        if (description.type === 'offer') {
+            this.signalingState = 'have-local-offer';
+            offering.set(this.id, this);
+        }
+    }
+
+    async setRemoteDescription(description) {
+        this.remoteDescription = description;
+        if (description.type === 'offer') {
+            this.offerer = offering.get(Number(description.sdp.split(' ')[1]));
+            answering.add(this);
+            return;
+        }
+        this.signalingState = 'stable';
+        offering.delete(this.id);
+        const answerer = [...answering].find(pc => pc.offerer === this);
+        answering.delete(answerer);
+        this.connectTo(answerer);
+    }
+
+    connectTo(answerer) {
+        const twins = this.channels.map(channel => {
+            const twin = new FakeDataChannel(channel.label, { ordered: channel.ordered });
+            twin.remote = channel;
+            channel.remote = twin;
+            return twin;
+        });
+        answerer.channels.push(...twins);
+        setTimeout(() => {
+            twins.forEach(twin => answerer.ondatachannel && answerer.ondatachannel({ channel: twin }));
+            this.iceConnectionState = answerer.iceConnectionState = 'connected';
+            this.channels.forEach((channel, index) => {
+                channel.open();
+                twins[index].open();
+            });
+        }, 0);
+    }
+
+    async addIceCandidate(candidate) {
+        this.addedCandidates.push(candidate);
+    }
+
+    async getStats() {
+        return new Map();
+    }
+
+    close() {
+        this.closed = true;
+        this.channels.forEach(channel => channel.close());
+    }
+}
+
+module.exports = { FakePeerConnection, FakeDataChannel };
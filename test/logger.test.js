@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createLogger } = require('../logger');
+
+const SALT = 'logger-test-salt';
+const ROOM_ID = 'abc123def456';
+const IP = '203.0.113.42';
+
+function hash(value) {
+    return crypto.createHmac('sha256', SALT).update(value).digest('hex').slice(0, 12);
+}
+
+// A logger writing into arrays instead of the process streams
+function capture(options = {}) {
+    const out = [];
+    const err = [];
+    const logger = createLogger({
+        level: 'debug',
+        salt: SALT,
+        stdout: { write: line => out.push(line) },
+        stderr: { write: line => err.push(line) },
+        ...options
+    });
+    return { logger, out, err, all: () => out.concat(err).join('') };
+}
+
+test('room ids and IPs are written only as HMAC hashes', () => {
+    const { logger, out, err, all } = capture();
+
+    logger.info('User joined room', { roomId: ROOM_ID, ip: IP });
+    logger.warn('Temporarily banned', { ip: IP });
+    logger.child({ roomId: ROOM_ID, ip: IP }).error('Room failed', { error: new Error('boom') });
+
+    assert.equal(out.length, 1);
+    assert.equal(err.length, 2);
+    assert.ok(!all().includes(ROOM_ID));
+    assert.ok(!all().includes(IP));
+
+    const entry = JSON.parse(out[0]);
+    assert.equal(entry.room, hash(ROOM_ID));
+    assert.equal(entry.ip, hash(IP));
+    assert.equal(entry.roomId, undefined);
+    assert.equal(JSON.parse(err[1]).room, hash(ROOM_ID));
+    assert.equal(JSON.parse(err[1]).error, 'boom');
+});
+
+test('the text format hashes them the same way', () => {
+    const { logger, all } = capture({ format: 'text' });
+
+    logger.info('User joined room', { roomId: ROOM_ID, ip: IP });
+    logger.child({ roomId: ROOM_ID }).debug('Offer relayed');
+
+    assert.ok(!all().includes(ROOM_ID));
+    assert.ok(!all().includes(IP));
+    assert.ok(all().includes(`room="${hash(ROOM_ID)}"`));
+    assert.ok(all().includes(`ip="${hash(IP)}"`));
+});
+
+test('credentials are masked and entries below the level are dropped', () => {
+    const { logger, out, all } = capture({ level: 'info' });
+
+    logger.debug('Not written', { roomId: ROOM_ID });
+    logger.info('Password verified', { roomId: ROOM_ID, proof: 'f'.repeat(64), accessToken: 'secret-token' });
+
+    assert.equal(out.length, 1);
+    assert.ok(!all().includes('secret-token'));
+    assert.ok(!all().includes('f'.repeat(64)));
+    assert.equal(JSON.parse(out[0]).proof, '[redacted]');
+});
+
+test('hashes differ between salts, so they can not be matched across runs', () => {
+    const first = capture();
+    const other = capture({ salt: 'another-salt' });
+
+    first.logger.info('User joined room', { roomId: ROOM_ID });
+    other.logger.info('User joined room', { roomId: ROOM_ID });
+
+    assert.notEqual(JSON.parse(first.out[0]).room, JSON.parse(other.out[0]).room);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHmac, pbkdf2Sync } = require('crypto');
+const {
+    generatePasswordSalt, derivePasswordVerifier, computePasswordProof, deriveTransferKey, sealMetadata, openSealedMetadata
+} = require('../shared');
+
+test('the verifier is not a plain PBKDF2 of the password with the stored salt', async () => {
+    const salt = generatePasswordSalt();
+    const verifier = await derivePasswordVerifier('correct horse battery', salt);
+
+    assert.match(verifier, /^[0-9a-f]{64}$/);
+    assert.equal(verifier, await derivePasswordVerifier('correct horse battery', salt));
+    assert.notEqual(verifier, pbkdf2Sync('correct horse battery', Buffer.from(salt, 'hex'), 100000, 32, 'sha256').toString('hex'));
+    assert.notEqual(verifier, await derivePasswordVerifier('correct horse battery', generatePasswordSalt()));
+});
+
+test('the proof is HMAC-SHA256 of the nonce keyed with the verifier, as the server checks it', async () => {
+    const salt = generatePasswordSalt();
+    const verifier = await derivePasswordVerifier('hunter22', salt);
+
+    const proof = await computePasswordProof('hunter22', salt, 'nonce-1');
+
+    assert.equal(proof, createHmac('sha256', Buffer.from(verifier, 'hex')).update('nonce-1').digest('hex'));
+    assert.notEqual(proof, await computePasswordProof('hunter22', salt, 'nonce-2'));
+    assert.equal(await computePasswordProof('abc', salt, 'nonce-1'), null); // Too short to be a password
+});
+
+test('the transfer key comes from its own labelled derivation', async () => {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const sealed = await sealMetadata(await deriveTransferKey('a long enough password', salt, 1000), { name: 'secret.pdf' });
+
+    assert.deepEqual(await openSealedMetadata(await deriveTransferKey('a long enough password', salt, 1000), sealed), { name: 'secret.pdf' });
+
+    // A plain PBKDF2 of the password and salt (what a verifier derivation would give) doesn't open it
+    const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode('a long enough password'), 'PBKDF2', false, ['deriveKey']);
+    const unlabelled = await crypto.subtle.deriveKey({ name: 'PBKDF2', salt, iterations: 1000, hash: 'SHA-256' },
+        baseKey, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    await assert.rejects(openSealedMetadata(unlabelled, sealed));
+});
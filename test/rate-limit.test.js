@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTokenBuckets, createBanList, parseTrustedProxies, getClientIp } = require('../rate-limit');
+
+const MINUTE = 60 * 1000;
+
+test('a bucket lets a burst through, then refills at its rate', () => {
+    const buckets = createTokenBuckets({ capacity: 3, refillPerMinute: 6 });
+    const now = 1000000;
+
+    for (let i = 0; i < 3; i++) {
+        assert.equal(buckets.take('1.2.3.4', now), 0);
+    }
+    assert.equal(buckets.take('1.2.3.4', now), 10000); // One token every 10 seconds
+    assert.equal(buckets.take('5.6.7.8', now), 0); // Every key has its own bucket
+
+    assert.equal(buckets.wait('1.2.3.4', now + 4000), 6000);
+    assert.equal(buckets.take('1.2.3.4', now + 10000), 0);
+    assert.ok(buckets.take('1.2.3.4', now + 10000) > 0);
+});
+
+test('a bucket never holds more than its capacity', () => {
+    const buckets = createTokenBuckets({ capacity: 2, refillPerMinute: 60 });
+    const later = 1000000 + 60 * MINUTE;
+
+    assert.equal(buckets.take('key', 1000000), 0);
+    assert.equal(buckets.take('key', later), 0);
+    assert.equal(buckets.take('key', later), 0);
+    assert.ok(buckets.take('key', later) > 0);
+});
+
+test('pruning forgets only buckets that have filled up again', () => {
+    const buckets = createTokenBuckets({ capacity: 2, refillPerMinute: 2 });
+    const now = 1000000;
+    buckets.take('spent', now);
+    buckets.take('spent', now);
+    buckets.take('spent', now);
+
+    buckets.prune(now + 30000);
+    assert.equal(buckets.wait('spent', now + 30000), 0); // Still has the token it earned back
+    buckets.take('spent', now + 30000);
+    assert.ok(buckets.wait('spent', now + 30000) > 0);
+
+    buckets.prune(now + 10 * MINUTE);
+    assert.equal(buckets.take('spent', now + 10 * MINUTE), 0);
+});
+
+test('enough strikes within the window ban a key for the duration', () => {
+    const bans = createBanList({ strikes: 3, window: MINUTE, duration: 5 * MINUTE });
+    const now = 1000000;
+
+    assert.equal(bans.strike('1.2.3.4', now), false);
+    assert.equal(bans.strike('1.2.3.4', now + 1000), false);
+    assert.equal(bans.bannedFor('1.2.3.4', now + 1000), 0);
+    assert.equal(bans.strike('1.2.3.4', now + 2000), true);
+
+    assert.equal(bans.bannedFor('1.2.3.4', now + 2000), 5 * MINUTE);
+    assert.equal(bans.bannedFor('5.6.7.8', now + 2000), 0);
+    assert.equal(bans.count(now + 2000), 1);
+    assert.equal(bans.strike('1.2.3.4', now + 3000), false); // Strikes during a ban don't extend it
+
+    assert.equal(bans.bannedFor('1.2.3.4', now + 2000 + 5 * MINUTE), 0);
+    assert.equal(bans.count(now + 2000 + 5 * MINUTE), 0);
+});
+
+test('strikes spread beyond the window start over', () => {
+    const bans = createBanList({ strikes: 2, window: MINUTE, duration: MINUTE });
+    const now = 1000000;
+
+    assert.equal(bans.strike('key', now), false);
+    assert.equal(bans.strike('key', now + 2 * MINUTE), false);
+    assert.equal(bans.strike('key', now + 2 * MINUTE + 1000), true);
+});
+
+test('TRUSTED_PROXIES accepts addresses and "loopback"', () => {
+    assert.deepEqual(parseTrustedProxies(' 10.0.0.1, loopback,::ffff:10.0.0.2 ,'), ['10.0.0.1', '127.0.0.1', '::1', '10.0.0.2']);
+    assert.deepEqual(parseTrustedProxies(undefined), []);
+});
+
+test('X-Forwarded-For from a connection that is not a trusted proxy is ignored', () => {
+    const trusted = parseTrustedProxies('10.0.0.1');
+
+    assert.equal(getClientIp('203.0.113.9', '198.51.100.1', trusted), '203.0.113.9');
+    assert.equal(getClientIp('::ffff:203.0.113.9', '10.0.0.1', trusted), '203.0.113.9');
+    assert.equal(getClientIp('203.0.113.9', '198.51.100.1', []), '203.0.113.9');
+});
+
+test('behind trusted proxies the client is the first untrusted hop from the right', () => {
+    const trusted = parseTrustedProxies('10.0.0.1,10.0.0.2');
+
+    assert.equal(getClientIp('10.0.0.1', '198.51.100.1', trusted), '198.51.100.1');
+    assert.equal(getClientIp('::ffff:10.0.0.1', '198.51.100.1, 10.0.0.2', trusted), '198.51.100.1');
+    // The client wrote the leftmost entry itself, so it can't pose as anyone
+    assert.equal(getClientIp('10.0.0.1', '1.1.1.1, 198.51.100.1', trusted), '198.51.100.1');
+    // Nothing but trusted proxies: the last one is the best we know
+    assert.equal(getClientIp('10.0.0.1', '10.0.0.2', trusted), '10.0.0.2');
+    assert.equal(getClientIp('10.0.0.1', undefined, trusted), '10.0.0.1');
+});
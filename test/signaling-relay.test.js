@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, emit, next } = require('./signaling-server');
+
+const ROOM_ID = 'relaytest123';
+const OFFER = { type: 'offer', sdp: 'v=0' };
+const ADMIN_TOKEN = 'relay-test-admin-token';
+let server;
+
+function connect() {
+    return server.connect();
+}
+
+// The link's creator is the sender; everyone who joins after it is a receiver
+async function joinRoom(roomId = ROOM_ID, settings = {}, receiverCount = 2) {
+    const sender = await connect();
+    assert.equal((await emit(sender, 'join-room', { roomId, ...settings })).success, true);
+    const receivers = [];
+    for (let i = 0; i < receiverCount; i++) {
+        const receiver = await connect();
+        assert.equal((await emit(receiver, 'join-room', { roomId })).success, true);
+        receivers.push(receiver);
+    }
+    return { sender, receivers };
+}
+
+async function metric(name) {
+    const response = await fetch(`${server.url}/metrics`, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+    const line = (await response.text()).split('\n').find(entry => entry.startsWith(`${name} `) || entry.startsWith(`${name}{`));
+    return line ? Number(line.split(' ').pop()) : 0;
+}
+
+let room;
+
+test.before(async () => {
+    server = await startServer({ ADMIN_TOKEN });
+    room = await joinRoom();
+});
+
+test.after(() => server.stop());
+
+test('a socket outside the room is refused with not-in-room', async () => {
+    const outsider = await connect();
+    const delivered = next(room.receivers[0], 'offer');
+
+    const reply = await emit(outsider, 'offer', { roomId: ROOM_ID, to: room.receivers[0].id, sdp: OFFER });
+
+    assert.equal(reply.success, false);
+    assert.equal(reply.code, 'not-in-room');
+    assert.equal(await delivered, 'none');
+});
+
+test('an offer from a receiver is refused with wrong-role', async () => {
+    const delivered = next(room.sender, 'offer');
+
+    const reply = await emit(room.receivers[0], 'offer', { roomId: ROOM_ID, to: room.sender.id, sdp: OFFER });
+
+    assert.equal(reply.code, 'wrong-role');
+    assert.equal(await delivered, 'none');
+});
+
+test('a message for a peer that is not at the other end is refused', async () => {
+    const [first, second] = room.receivers;
+    const unknown = await emit(room.sender, 'offer', { roomId: ROOM_ID, to: 'no-such-socket', sdp: OFFER });
+    const receiverToReceiver = await emit(first, 'ice-candidate', { roomId: ROOM_ID, to: second.id, candidate: { candidate: '' } });
+
+    assert.equal(unknown.code, 'unknown-peer');
+    assert.equal(unknown.field, 'to');
+    assert.equal(receiverToReceiver.code, 'unknown-peer');
+});
+
+test('a valid relay reaches only the target socket, with from set', async () => {
+    const [target, other] = room.receivers;
+    const delivered = next(target, 'offer');
+    const elsewhere = Promise.all([next(other, 'offer'), next(room.sender, 'offer')]);
+
+    const reply = await emit(room.sender, 'offer', { roomId: ROOM_ID, to: target.id, sdp: OFFER });
+
+    assert.deepEqual(reply, { success: true });
+    assert.deepEqual(await delivered, { sdp: OFFER, from: room.sender.id });
+    assert.deepEqual(await elsewhere, ['none', 'none']);
+
+    const candidate = next(room.sender, 'ice-candidate');
+    await emit(target, 'ice-candidate', { roomId: ROOM_ID, to: room.sender.id, candidate: { candidate: 'candidate:1 1 udp 1 127.0.0.1 9 typ host' } });
+    assert.equal((await candidate).from, target.id);
+});
+
+test('a transfer is counted once, and only when its confirmation is relayed', async () => {
+    const roomId = 'confirmtest12';
+    const { sender, receivers: [receiver] } = await joinRoom(roomId, { maxDownloads: 1 }, 1);
+    const outsider = await connect();
+    const confirmation = { roomId, to: sender.id, integrity: 'verified', bytes: 1000 };
+
+    assert.equal((await emit(outsider, 'transfer-confirmed', confirmation)).code, 'not-in-room');
+    assert.equal((await emit(sender, 'transfer-confirmed', { roomId, to: receiver.id })).code, 'wrong-role');
+    assert.equal((await emit(receiver, 'transfer-confirmed', { ...confirmation, to: 'no-such-socket' })).code, 'unknown-peer');
+    assert.equal(await metric('directdrop_transfers_confirmed_total'), 0);
+    assert.equal((await emit(await connect(), 'join-room', { roomId })).success, true); // The download is still free
+
+    for (let i = 0; i < 3; i++) {
+        const relayed = next(sender, 'transfer-confirmed');
+        assert.deepEqual(await emit(receiver, 'transfer-confirmed', confirmation), { success: true });
+        assert.deepEqual(await relayed, { integrity: 'verified', from: receiver.id });
+    }
+
+    assert.equal(await metric('directdrop_transfers_confirmed_total'), 1);
+    assert.equal(await metric('directdrop_reported_bytes_total'), 1000);
+    assert.equal((await emit(await connect(), 'join-room', { roomId })).code, 'room-expired');
+});
+
+test('a confirmation for a download that failed or has no verdict does not use up the link', async () => {
+    // A server of its own, as the sockets here would run past the connection limit per IP
+    const own = await startServer();
+    try {
+        for (const [index, integrity] of ['failed', undefined].entries()) {
+            const roomId = `failedtest${index}12`;
+            const sender = await own.connect();
+            const receiver = await own.connect();
+            assert.equal((await emit(sender, 'join-room', { roomId, maxDownloads: 1 })).success, true);
+            assert.equal((await emit(receiver, 'join-room', { roomId })).success, true);
+            const relayed = next(sender, 'transfer-confirmed');
+
+            assert.deepEqual(await emit(receiver, 'transfer-confirmed', { roomId, to: sender.id, integrity }), { success: true });
+            assert.equal((await relayed).from, receiver.id);
+            assert.equal((await emit(await own.connect(), 'join-room', { roomId })).success, true, String(integrity));
+
+            // The same receiver trying again and saving the file does use it up
+            await emit(receiver, 'transfer-confirmed', { roomId, to: sender.id, integrity: 'verified' });
+            assert.equal((await emit(await own.connect(), 'join-room', { roomId })).code, 'room-expired');
+        }
+    } finally {
+        await own.stop();
+    }
+});
@@ -0,0 +1,74 @@
+// Runs server.js in a child process for tests that talk to it over HTTP and Socket.io.
+//
+// startServer(env) resolves once the server logs that it is listening, with
+//   { url, connect(), stop() }
+// connect() opens a new client socket; stop() closes them all and ends the server.
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { io } = require('socket.io-client');
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer().listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        }).on('error', reject);
+    });
+}
+
+async function startServer(env = {}) {
+    const port = await freePort();
+    const url = `http://127.0.0.1:${port}`;
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: { ...process.env, PORT: String(port), GENERATE_SITEMAP: 'false', ROOM_STORE: 'memory', LOG_LEVEL: 'info', LOG_FORMAT: 'json', ...env },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    await new Promise((resolve, reject) => {
+        child.once('exit', code => reject(new Error(`server.js exited with code ${code}`)));
+        child.stdout.on('data', chunk => {
+            if (chunk.toString().includes('Signaling server listening')) resolve();
+        });
+    });
+
+    const sockets = [];
+    return {
+        url,
+        connect() {
+            return new Promise((resolve, reject) => {
+                const socket = io(url, { transports: ['websocket'], forceNew: true });
+                sockets.push(socket);
+                socket.once('connect', () => resolve(socket));
+                socket.once('connect_error', reject);
+            });
+        },
+        stop() {
+            sockets.forEach(socket => socket.close());
+            return new Promise(resolve => {
+                child.once('exit', resolve);
+                child.kill();
+            });
+        }
+    };
+}
+
+function emit(socket, event, data) {
+    return new Promise(resolve => socket.emit(event, data, resolve));
+}
+
+// Resolves with the event's payload, or 'none' when it doesn't arrive in time
+function next(socket, event, timeout = 300) {
+    return new Promise(resolve => {
+        const timer = setTimeout(() => {
+            socket.off(event, listener);
+            resolve('none');
+        }, timeout);
+        const listener = payload => {
+            clearTimeout(timer);
+            resolve(payload);
+        };
+        socket.once(event, listener);
+    });
+}
+
+module.exports = { startServer, emit, next };
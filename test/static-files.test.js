@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, emit } = require('./signaling-server');
+
+const ROOT = path.join(__dirname, '..');
+
+// Creates a protected room so the store has a verifier and tokens to write, and waits for the file
+async function storeRoom(server, storeFile) {
+    const socket = await server.connect();
+    const reply = await emit(socket, 'join-room', {
+        roomId: 'storetest123', isProtected: true, passwordVerifier: 'a'.repeat(64), passwordSalt: 'b'.repeat(32)
+    });
+    assert.equal(reply.success, true);
+    for (let i = 0; i < 50 && !fs.existsSync(storeFile); i++) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    assert.ok(fs.readFileSync(storeFile, 'utf8').includes('a'.repeat(64)));
+}
+
+async function status(server, requestPath) {
+    return (await fetch(`${server.url}${requestPath}`)).status;
+}
+
+test('the default room store folder is not served', async (t) => {
+    const name = `rooms-test-${process.pid}.json`;
+    const storeFile = path.join(ROOT, 'data', name);
+    const server = await startServer({ ROOM_STORE: 'file', ROOM_STORE_FILE: storeFile });
+    t.after(async () => {
+        await server.stop();
+        fs.rmSync(storeFile, { force: true });
+    });
+
+    await storeRoom(server, storeFile);
+
+    for (const requestPath of [`/data/${name}`, `/%64ata/${name}`, `/DATA/${name}`, `/blog/../data/${name}`, '/data/', '/data']) {
+        assert.equal(await status(server, requestPath), 404, requestPath);
+    }
+    assert.equal(await status(server, '/favicon.svg'), 200); // Other files still are
+});
+
+test('a room store file elsewhere in the served folder is not served', async (t) => {
+    const name = `rooms-test-${process.pid}.json`;
+    const storeFile = path.join(ROOT, name);
+    const server = await startServer({ ROOM_STORE: 'file', ROOM_STORE_FILE: storeFile });
+    t.after(async () => {
+        await server.stop();
+        fs.rmSync(storeFile, { force: true });
+    });
+
+    await storeRoom(server, storeFile);
+
+    assert.equal(await status(server, `/${name}`), 404);
+    assert.equal(await status(server, `/${name}.tmp`), 404);
+});
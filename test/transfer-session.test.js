@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TransferSession } = require('../transfer-session');
+const { FakePeerConnection } = require('./fake-peer-connection');
+
+function randomBytes(size) {
+    const bytes = new Uint8Array(size);
+    for (let offset = 0; offset < size; offset += 65536) {
+        crypto.getRandomValues(bytes.subarray(offset, Math.min(size, offset + 65536)));
+    }
+    return bytes;
+}
+
+function concat(chunks) {
+    const total = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+    const bytes = new Uint8Array(total);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        bytes.set(new Uint8Array(chunk), offset);
+        offset += chunk.byteLength;
+    });
+    return bytes;
+}
+
+function once(session, event) {
+    return new Promise(resolve => session.on(event, resolve));
+}
+
+// Connects a sender and a receiver through the fake peer connection, the way the pages do
+// through the signaling server
+async function connectPair(senderOptions = {}) {
+    const sender = new TransferSession({ role: 'sender', RTCPeerConnection: FakePeerConnection, ...senderOptions }).connect();
+    const receiver = new TransferSession({ role: 'receiver', RTCPeerConnection: FakePeerConnection }).connect();
+    const opened = Promise.all([once(sender, 'open'), once(receiver, 'open')]);
+
+    const answer = await receiver.acceptOffer(await sender.createOffer());
+    await sender.acceptAnswer(answer);
+    await opened;
+    return { sender, receiver };
+}
+
+// Runs the manifest/start/data/completed exchange; resolves with what the receiver got
+function transfer({ sender, receiver }, { key = null, offset = 0 } = {}) {
+    const chunks = [];
+    const offsets = [];
+    const completed = once(sender, 'completed');
+
+    receiver.on('manifest', manifest => {
+        receiver.receive({ size: manifest.size, key, offset });
+        receiver.sendControl(offset > 0 ? { type: 'resume', offset } : { type: 'start' });
+    });
+    receiver.on('data', (data, chunkOffset) => {
+        chunks.push(data);
+        offsets.push(chunkOffset);
+        const received = chunkOffset + data.byteLength;
+        receiver.acknowledge(received);
+        if (received === sender.file.size) {
+            receiver.sendControl({ type: 'completed', integrity: 'verified' });
+        }
+    });
+    sender.on('start', () => sender.sendFile(0));
+    sender.on('resume', ({ offset: resumeOffset }) => sender.sendFile(resumeOffset));
+
+    sender.sendManifest({ name: 'test.bin', size: sender.file.size });
+    return completed.then(result => ({ result, bytes: concat(chunks), offsets }));
+}
+
+test('sends a file over the control channel and receives it intact', async () => {
+    const content = randomBytes(700 * 1024 + 123);
+    const pair = await connectPair({ file: new Blob([content]) });
+    const acks = [];
+    pair.sender.on('ack', offset => acks.push(offset));
+
+    const { result, bytes } = await transfer(pair);
+
+    assert.deepEqual(bytes, content);
+    assert.equal(result.integrity, 'verified');
+    assert.equal(acks.at(-1), content.byteLength);
+    pair.sender.close();
+    pair.receiver.close();
+});
+
+test('reassembles chunks striped across unordered channels', async () => {
+    const content = randomBytes(2 * 1024 * 1024 + 7);
+    const pair = await connectPair({ file: new Blob([content]), parallelChannels: 3 });
+    assert.equal(pair.receiver.stripeChannels.length, 3);
+
+    const { bytes, offsets } = await transfer(pair);
+
+    assert.deepEqual(bytes, content);
+    assert.deepEqual(offsets, [...offsets].sort((a, b) => a - b)); // Handed on in order
+    pair.sender.close();
+    pair.receiver.close();
+});
+
+test('encrypts chunks with the transfer key', async () => {
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    const content = randomBytes(300 * 1024);
+    const pair = await connectPair({ file: new Blob([content]), key });
+
+    const { bytes } = await transfer(pair, { key });
+
+    assert.deepEqual(bytes, content);
+    pair.sender.close();
+    pair.receiver.close();
+});
+
+test('fails with decryption-failed when the receiver has the wrong key', async () => {
+    const [senderKey, receiverKey] = await Promise.all([1, 2].map(() =>
+        crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])));
+    const pair = await connectPair({ file: new Blob([randomBytes(1024)]), key: senderKey });
+    const receiverError = once(pair.receiver, 'error');
+    const senderSawError = once(pair.sender, 'remote-error');
+
+    transfer(pair, { key: receiverKey });
+
+    assert.equal((await receiverError).code, 'decryption-failed');
+    assert.equal((await senderSawError).code, 'decryption-failed');
+    pair.sender.close();
+    pair.receiver.close();
+});
+
+test('resumes from the offset the receiver reports', async () => {
+    const content = randomBytes(600 * 1024);
+    const pair = await connectPair({ file: new Blob([content]) });
+    const resumed = once(pair.sender, 'resume');
+
+    const { bytes, offsets } = await transfer(pair, { offset: 256 * 1024 });
+
+    assert.equal((await resumed).offset, 256 * 1024);
+    assert.equal(offsets[0], 256 * 1024);
+    assert.deepEqual(bytes, content.subarray(256 * 1024));
+    pair.sender.close();
+    pair.receiver.close();
+});
+
+test('rejects a resume offset past the end of the file', async () => {
+    const pair = await connectPair({ file: new Blob([randomBytes(1024)]) });
+    const error = once(pair.sender, 'error');
+
+    pair.receiver.sendControl({ type: 'resume', offset: 4096 });
+
+    assert.equal((await error).code, 'invalid-resume');
+    pair.sender.close();
+    pair.receiver.close();
+});
+
+test('holds back chunks while paused and carries on when unpaused', async () => {
+    const content = randomBytes(1024 * 1024);
+    const pair = await connectPair({ file: new Blob([content]) });
+    const remotePause = once(pair.sender, 'pause');
+    pair.receiver.setPaused(true);
+    assert.deepEqual(await remotePause, { paused: true, remote: true });
+
+    let received = 0;
+    pair.receiver.on('data', data => { received += data.byteLength; });
+    const done = transfer(pair);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(received, 0);
+
+    pair.receiver.setPaused(false);
+    const { bytes } = await done;
+    assert.deepEqual(bytes, content);
+    pair.sender.close();
+    pair.receiver.close();
+});
+
+test('queues ICE candidates until the remote description is set', async () => {
+    const receiver = new TransferSession({ role: 'receiver', RTCPeerConnection: FakePeerConnection }).connect();
+    const sender = new TransferSession({ role: 'sender', RTCPeerConnection: FakePeerConnection, file: new Blob([]) }).connect();
+
+    await receiver.addIceCandidate({ candidate: 'early' });
+    assert.deepEqual(receiver.pc.addedCandidates, []);
+
+    await receiver.acceptOffer(await sender.createOffer());
+    assert.deepEqual(receiver.pc.addedCandidates, [{ candidate: 'early' }]);
+    sender.close();
+    receiver.close();
+});
+
+test('the receiver refuses a sender that offers no version it speaks', async () => {
+    const pair = await connectPair({ file: new Blob([]) });
+    const receiverError = once(pair.receiver, 'error');
+    const senderSawError = once(pair.sender, 'remote-error');
+
+    pair.receiver.handleHello({ type: 'hello', versions: [99] });
+
+    assert.equal((await receiverError).code, 'unsupported-version');
+    assert.equal((await senderSawError).code, 'unsupported-version');
+    pair.sender.close();
+    pair.receiver.close();
+});
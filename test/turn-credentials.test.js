@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createTurnCredentials, DEFAULT_TURN_CREDENTIAL_TTL } = require('../turn-credentials');
+
+const SECRET = 'coturn-static-auth-secret';
+
+test('the credential is HMAC-SHA1 over "<expiry>:<id>" with the shared secret', () => {
+    const now = Date.UTC(2024, 4, 1);
+    const { username, credential, expiresAt } = createTurnCredentials(SECRET, 'abc123def45', 10 * 60 * 1000, now);
+
+    const [expiry, id] = username.split(':');
+    assert.equal(Number(expiry), now / 1000 + 600);
+    assert.equal(expiresAt, Number(expiry) * 1000);
+    assert.match(id, /^[0-9a-f]{16}$/);
+    // What coturn computes from the username with its static-auth-secret
+    assert.equal(credential, crypto.createHmac('sha1', SECRET).update(`${expiry}:${id}`).digest('base64'));
+});
+
+test('the username carries a hash of the room id, never the id itself', () => {
+    const first = createTurnCredentials(SECRET, 'abc123def45');
+    const again = createTurnCredentials(SECRET, 'abc123def45');
+    const otherRoom = createTurnCredentials(SECRET, 'zzz999yyy88');
+    const otherSecret = createTurnCredentials('another-secret', 'abc123def45');
+
+    assert.ok(!first.username.includes('abc123def45'));
+    assert.equal(first.username.split(':')[1], again.username.split(':')[1]);
+    assert.notEqual(first.username.split(':')[1], otherRoom.username.split(':')[1]);
+    assert.notEqual(first.username.split(':')[1], otherSecret.username.split(':')[1]);
+});
+
+test('credentials last minutes by default', () => {
+    const now = Date.now();
+    const { expiresAt } = createTurnCredentials(SECRET, 'abc123def45', undefined, now);
+
+    assert.ok(expiresAt - now <= DEFAULT_TURN_CREDENTIAL_TTL);
+    assert.ok(DEFAULT_TURN_CREDENTIAL_TTL <= 60 * 60 * 1000);
+});
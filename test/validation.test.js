@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_MANIFEST_FILES, MAX_PREVIEW_LENGTH, isValidManifest, isValidPreview } = require('../shared');
+
+test('previews must be a JPEG/PNG data URL or text within the length limit', () => {
+    assert.equal(isValidPreview({ type: 'image', data: 'data:image/jpeg;base64,/9j/4AAQ' }), true);
+    assert.equal(isValidPreview({ type: 'text', data: 'hello' }), true);
+
+    assert.equal(isValidPreview({ type: 'text', data: 'x'.repeat(MAX_PREVIEW_LENGTH + 1) }), false);
+    assert.equal(isValidPreview({ type: 'image', data: 'data:image/svg+xml;base64,PHN2Zz4=' }), false);
+    assert.equal(isValidPreview({ type: 'image', data: 'javascript:alert(1)' }), false);
+    assert.equal(isValidPreview({ type: 'html', data: '<b>' }), false);
+    assert.equal(isValidPreview({ type: 'text', data: '' }), false);
+    assert.equal(isValidPreview('text'), false);
+});
+
+test('manifests list relative paths whose sizes add up to the total', () => {
+    const files = [{ path: 'photos/a.jpg', size: 10 }, { path: 'notes.txt', size: 5 }];
+    assert.equal(isValidManifest(files, 15), true);
+
+    assert.equal(isValidManifest(files, 16), false);
+    assert.equal(isValidManifest([], 0), false);
+    assert.equal(isValidManifest(Array.from({ length: MAX_MANIFEST_FILES + 1 }, () => ({ path: 'a', size: 0 })), 0), false);
+    assert.equal(isValidManifest([{ path: 'a', size: -1 }], -1), false);
+    assert.equal(isValidManifest([{ path: '', size: 0 }], 0), false);
+});
+
+test('manifest paths may not be absolute or climb out of the folder', () => {
+    for (const path of ['../secret', 'photos/../../secret', 'photos\\..\\secret', '/etc/passwd', '\\windows\\system32', 'C:\\Users\\x', 'c:x']) {
+        assert.equal(isValidManifest([{ path, size: 1 }], 1), false, path);
+    }
+    assert.equal(isValidManifest([{ path: 'photos/..hidden', size: 1 }], 1), true);
+});
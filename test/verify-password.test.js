@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, emit } = require('./signaling-server');
+const { generatePasswordSalt, derivePasswordVerifier, computePasswordProof } = require('../shared');
+
+const PASSWORD = 'correct horse battery';
+let server;
+
+// The sender opens a protected room; receivers then get a challenge from check-room
+async function protectedRoom(roomId) {
+    const salt = generatePasswordSalt();
+    const sender = await server.connect();
+    const reply = await emit(sender, 'join-room', {
+        roomId, isProtected: true, passwordVerifier: await derivePasswordVerifier(PASSWORD, salt), passwordSalt: salt
+    });
+    assert.equal(reply.success, true);
+    return salt;
+}
+
+async function challenge(socket, roomId) {
+    const info = await emit(socket, 'check-room', { roomId });
+    assert.equal(info.isProtected, true);
+    return info.nonce;
+}
+
+test.before(async () => {
+    server = await startServer();
+});
+
+test.after(() => server.stop());
+
+test('a wrong proof is refused, and the right one answers the new challenge', async () => {
+    const roomId = 'wrongproof12';
+    const salt = await protectedRoom(roomId);
+    const receiver = await server.connect();
+    const nonce = await challenge(receiver, roomId);
+
+    const wrong = await emit(receiver, 'verify-password', { roomId, proof: await computePasswordProof('not the password', salt, nonce) });
+    assert.equal(wrong.success, false);
+    assert.equal(wrong.code, 'wrong-password');
+    assert.equal(wrong.attemptsRemaining, 4);
+    assert.equal(wrong.accessToken, undefined);
+    assert.notEqual(wrong.nonce, nonce);
+
+    const right = await emit(receiver, 'verify-password', { roomId, proof: await computePasswordProof(PASSWORD, salt, wrong.nonce) });
+    assert.equal(right.success, true);
+    assert.equal(typeof right.accessToken, 'string');
+});
+
+test('a proof for a challenge that was already answered is refused', async () => {
+    const roomId = 'replaytest12';
+    const salt = await protectedRoom(roomId);
+    const receiver = await server.connect();
+    const proof = await computePasswordProof(PASSWORD, salt, await challenge(receiver, roomId));
+
+    assert.equal((await emit(receiver, 'verify-password', { roomId, proof })).success, true);
+
+    const replayed = await emit(receiver, 'verify-password', { roomId, proof });
+    assert.equal(replayed.success, false);
+    assert.equal(replayed.code, 'no-challenge');
+    assert.equal(replayed.accessToken, undefined);
+
+    // Nor does it answer the challenge that replaced it
+    const again = await emit(receiver, 'verify-password', { roomId, proof });
+    assert.equal(again.code, 'wrong-password');
+});
+
+test('the room locks after five wrong proofs, even for the right password', async () => {
+    const roomId = 'lockouttest1';
+    const salt = await protectedRoom(roomId);
+    const guesser = await server.connect();
+    let nonce = await challenge(guesser, roomId);
+
+    for (let attempt = 1; attempt <= 5; attempt++) {
+        const reply = await emit(guesser, 'verify-password', { roomId, proof: await computePasswordProof(`guess number ${attempt}`, salt, nonce) });
+        assert.equal(reply.success, false);
+        if (attempt < 5) {
+            assert.equal(reply.code, 'wrong-password');
+            assert.equal(reply.attemptsRemaining, 5 - attempt);
+            nonce = reply.nonce;
+        } else {
+            assert.equal(reply.code, 'locked');
+            assert.equal(reply.locked, true);
+            assert.ok(reply.retryAfter > 0);
+        }
+    }
+
+    // The lock is on the room, so a fresh socket with the right password gets no further
+    const receiver = await server.connect();
+    const locked = await emit(receiver, 'verify-password', {
+        roomId, proof: await computePasswordProof(PASSWORD, salt, await challenge(receiver, roomId))
+    });
+    assert.equal(locked.code, 'locked');
+    assert.equal(locked.accessToken, undefined);
+});
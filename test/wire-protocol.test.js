@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    FRAME_TYPE, FRAME_FLAG_MORE, MAX_FRAGMENT_SIZE, MAX_MESSAGE_FRAME_SIZE, PROTOCOL_VERSION,
+    encodeChunkFrame, encodeMessageFrames, decodeFrame, createFrameReader, negotiateProtocolVersion
+} = require('../shared');
+
+test('chunk frames round-trip offset, file index and payload', () => {
+    const payload = new Uint8Array([1, 2, 3, 4, 5]);
+    const offset = 5 * 0x100000000 + 1234; // Past 4GB, so both halves of the offset matter
+
+    const frame = decodeFrame(encodeChunkFrame(offset, payload.buffer, 7));
+
+    assert.equal(frame.version, PROTOCOL_VERSION);
+    assert.equal(frame.type, FRAME_TYPE.CHUNK);
+    assert.equal(frame.fileIndex, 7);
+    assert.equal(frame.offset, offset);
+    assert.deepEqual(new Uint8Array(frame.payload), payload);
+});
+
+test('small messages fit in one frame and decode to their body', () => {
+    const body = { type: 'pause', paused: true };
+    const frames = encodeMessageFrames(FRAME_TYPE.CONTROL, body);
+
+    assert.equal(frames.length, 1);
+    assert.deepEqual(createFrameReader().read(frames[0]), { version: PROTOCOL_VERSION, type: FRAME_TYPE.CONTROL, body });
+});
+
+test('large JSON bodies are split into 64KB fragments and reassembled', () => {
+    const body = { files: Array.from({ length: 4000 }, (_, i) => ({ path: `folder/file-${i}.txt`, size: i })) };
+    const frames = encodeMessageFrames(FRAME_TYPE.MANIFEST, body);
+    assert.ok(frames.length > 1);
+    frames.forEach((frame, index) => {
+        assert.ok(frame.byteLength <= MAX_FRAGMENT_SIZE + 4);
+        const flags = new DataView(frame).getUint16(2);
+        assert.equal((flags & FRAME_FLAG_MORE) !== 0, index < frames.length - 1);
+    });
+
+    const reader = createFrameReader();
+    frames.slice(0, -1).forEach(frame => assert.equal(reader.read(frame), null));
+    assert.deepEqual(reader.read(frames.at(-1)).body, body);
+});
+
+test('chunks can arrive between the fragments of a message', () => {
+    const reader = createFrameReader();
+    const body = { note: 'x'.repeat(MAX_FRAGMENT_SIZE + 10) };
+    const [first, last] = encodeMessageFrames(FRAME_TYPE.CONTROL, body);
+
+    assert.equal(reader.read(first), null);
+    assert.equal(reader.read(encodeChunkFrame(0, new Uint8Array([9]).buffer)).offset, 0);
+    assert.deepEqual(reader.read(last).body, body);
+});
+
+test('a fragment of a different message type is refused', () => {
+    const reader = createFrameReader();
+    const [first] = encodeMessageFrames(FRAME_TYPE.MANIFEST, { note: 'x'.repeat(MAX_FRAGMENT_SIZE + 10) });
+    reader.read(first);
+
+    assert.throws(() => reader.read(encodeMessageFrames(FRAME_TYPE.CONTROL, { type: 'cancel' })[0]), /Malformed message/);
+});
+
+test('messages over the size limit are refused', () => {
+    assert.throws(() => encodeMessageFrames(FRAME_TYPE.MANIFEST, { data: 'x'.repeat(MAX_MESSAGE_FRAME_SIZE) }), /too large/);
+});
+
+test('malformed frames and unknown types throw', () => {
+    assert.throws(() => decodeFrame(new ArrayBuffer(2)), /Malformed frame/);
+    assert.throws(() => decodeFrame(new Uint8Array([PROTOCOL_VERSION, 99, 0, 0]).buffer), /Unknown frame type/);
+    assert.throws(() => decodeFrame(encodeChunkFrame(0, new ArrayBuffer(0))), /Malformed chunk frame/);
+});
+
+test('frames in an unsupported protocol version are refused', () => {
+    const frame = encodeMessageFrames(FRAME_TYPE.CONTROL, { type: 'cancel' })[0];
+    new DataView(frame).setUint8(0, 99);
+
+    assert.throws(() => decodeFrame(frame), /Unsupported protocol version 99/);
+});
+
+test('version negotiation picks the highest common version', () => {
+    assert.equal(negotiateProtocolVersion([PROTOCOL_VERSION, 99]), PROTOCOL_VERSION);
+    assert.equal(negotiateProtocolVersion([99, 100]), null);
+    assert.equal(negotiateProtocolVersion('1'), null);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createZipStream } = require('../shared');
+
+const FILES = [
+    { path: 'notes.txt', content: 'Hello from the streaming ZIP writer\n' },
+    { path: 'folder/empty.bin', content: '' },
+    { path: 'folder/ünïcode name.txt', content: 'x'.repeat(70000) }
+];
+
+// Plain CRC-32, independent of the writer's table
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc ^= byte;
+        for (let k = 0; k < 8; k++) crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+async function readAll(zip, step) {
+    const parts = [];
+    for (let start = 0; start < zip.size; start += step) {
+        parts.push(Buffer.from(await zip.slice(start, start + step).arrayBuffer()));
+    }
+    return Buffer.concat(parts);
+}
+
+// Reads the archive the way an unzip tool does: end record, central directory, then each local entry
+function unzip(archive) {
+    const end = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    assert.ok(end >= 0, 'end of central directory record');
+    const count = archive.readUInt16LE(end + 10);
+    let offset = archive.readUInt32LE(end + 16);
+    assert.equal(offset + archive.readUInt32LE(end + 12), end);
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(archive.readUInt32LE(offset), 0x02014b50);
+        const crc = archive.readUInt32LE(offset + 16);
+        const size = archive.readUInt32LE(offset + 24);
+        const nameLength = archive.readUInt16LE(offset + 28);
+        const extraLength = archive.readUInt16LE(offset + 30);
+        const headerOffset = archive.readUInt32LE(offset + 42);
+        const path = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + archive.readUInt16LE(offset + 32);
+
+        assert.equal(archive.readUInt32LE(headerOffset), 0x04034b50);
+        assert.equal(archive.readUInt16LE(headerOffset + 6) & 0x0808, 0x0808);
+        const dataStart = headerOffset + 30 + archive.readUInt16LE(headerOffset + 26) + archive.readUInt16LE(headerOffset + 28);
+        assert.equal(archive.toString('utf8', headerOffset + 30, headerOffset + 30 + nameLength), path);
+        const data = archive.subarray(dataStart, dataStart + size);
+
+        const descriptor = dataStart + size;
+        assert.equal(archive.readUInt32LE(descriptor), 0x08074b50);
+        assert.equal(archive.readUInt32LE(descriptor + 4), crc);
+        assert.equal(archive.readUInt32LE(descriptor + 8), size);
+        entries.push({ path, crc, data });
+    }
+    return entries;
+}
+
+test('a small archive reads back with every name, byte and CRC intact', async () => {
+    const zip = createZipStream(FILES.map(({ path, content }) => ({ file: new Blob([content]), path })), 'files.zip');
+    assert.equal(zip.name, 'files.zip');
+    assert.equal(zip.type, 'application/zip');
+
+    // Uneven reads cross every header, data block and descriptor boundary
+    const archive = await readAll(zip, 4099);
+    assert.equal(archive.length, zip.size);
+
+    const entries = unzip(archive);
+    assert.deepEqual(entries.map(entry => entry.path), FILES.map(file => file.path));
+    entries.forEach((entry, i) => {
+        assert.equal(entry.data.toString('utf8'), FILES[i].content);
+        assert.equal(entry.crc, crc32(entry.data));
+    });
+});
+
+test('reading out of order, as a resume does, gives the same archive', async () => {
+    const entries = () => FILES.map(({ path, content }) => ({ file: new Blob([content]), path }));
+    const expected = await readAll(createZipStream(entries(), 'files.zip'), 1 << 20);
+
+    const zip = createZipStream(entries(), 'files.zip');
+    const tail = Buffer.from(await zip.slice(50000).arrayBuffer());
+    const head = Buffer.from(await zip.slice(0, 50000).arrayBuffer());
+    assert.deepEqual(Buffer.concat([head, tail]), expected);
+});
+
+test('an entry over 4GB has a zip64 extra field in its local header', async () => {
+    const size = 5 * 1024 * 1024 * 1024;
+    // Only the header is read, so the file's contents never matter
+    const file = { size, lastModified: Date.now(), slice: () => new Blob([]) };
+    const zip = createZipStream([{ file, path: 'huge.bin' }], 'huge.zip');
+    const header = Buffer.from(await zip.slice(0, 30 + 8 + 20).arrayBuffer());
+
+    assert.equal(header.readUInt32LE(0), 0x04034b50);
+    assert.equal(header.readUInt16LE(4), 45);
+    assert.equal(header.readUInt32LE(18), 0xFFFFFFFF);
+    assert.equal(header.readUInt32LE(22), 0xFFFFFFFF);
+    assert.equal(header.readUInt16LE(28), 20);
+    assert.equal(header.toString('utf8', 30, 38), 'huge.bin');
+    assert.equal(header.readUInt16LE(38), 0x0001);
+    assert.equal(header.readUInt16LE(40), 16);
+    assert.equal(header.readBigUInt64LE(42), 0n); // Sizes follow in the data descriptor
+    assert.equal(header.readBigUInt64LE(50), 0n);
+
+    // Header with its extra field, data, zip64 descriptor, central directory, zip64 end records, end record
+    assert.equal(zip.size, 58 + size + 24 + (46 + 8 + 20) + (56 + 20) + 22);
+});
@@ -0,0 +1,572 @@
+// DirectDrop Transfer Session
+// One WebRTC connection between the sender and a receiver: signaling, the data channels and the
+// framed transfer protocol. The pages create a session per connection attempt and bind their UI
+// to its events. Uses the wire protocol, flow control and encryption helpers from shared.js.
+//
+// Sender events:   ice-candidate, ice-state, open, start, resume, pause, ack, progress, sent, stats,
+//                  cancel, completed, remote-error, close, error
+// Receiver events: ice-candidate, ice-state, open, manifest, data, pause, cancel, remote-error, close, error
+//
+// 'error' carries an Error with a `code`; its message is ready to show to the user.
+
+// Pages load shared.js as a script first; in Node (the tests) it is required as a module
+const shared = typeof module !== 'undefined' && module.exports ? require('./shared') : {
+    debugLog, chunkAdditionalData, encryptPayload, decryptPayload, createFlowController,
+    STRIPE_CHANNEL_PREFIX, PROTOCOL_VERSION, SUPPORTED_PROTOCOL_VERSIONS, FRAME_TYPE, ACK_INTERVAL,
+    encodeChunkFrame, sendMessageFrames, decodeFrame, createFrameReader, negotiateProtocolVersion, sendHello
+};
+
+function createSessionError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class TransferSession {
+    // options: { role: 'sender' | 'receiver', rtcConfig, file, key, parallelChannels, RTCPeerConnection }
+    constructor(options) {
+        this.role = options.role;
+        this.rtcConfig = options.rtcConfig;
+        this.file = options.file || null; // Sender: the Blob being sent
+        this.key = options.key || null; // Sender: AES-GCM key when the transfer is encrypted
+        this.parallelChannels = options.parallelChannels || 1;
+        this.PeerConnection = options.RTCPeerConnection || RTCPeerConnection; // Swappable for tests
+
+        this.pc = null;
+        this.controlChannel = null; // Ordered channel for control messages (and chunks when not striped)
+        this.stripeChannels = []; // Unordered channels a striped transfer is spread across
+        this.frameReader = shared.createFrameReader(); // Joins fragmented messages on the control channel
+        this.protocolVersion = shared.PROTOCOL_VERSION; // Wire protocol version agreed in the hello exchange
+        this.pendingCandidates = []; // ICE candidates that arrived before the remote description
+        this.listeners = new Map();
+        this.closed = false;
+        this.paused = false; // Either side paused the transfer
+
+        // Sender state
+        this.flowControllers = []; // Adaptive chunking per channel for the current sendFile() call
+        this.sendGeneration = 0; // Incremented per sendFile() call so stale read loops stop
+        this.sendLoops = []; // Restarts each channel's read/send loop after a pause
+        this.acknowledgedBytes = 0; // Bytes the receiver reported as saved (ack frames)
+
+        // Receiver state
+        this.receiving = null; // { size, key, writeAt } while chunks are accepted
+        this.pendingChunks = new Map(); // offset -> chunk that arrived ahead of the bytes before it
+        this.nextOffset = 0; // First byte not yet handed on in order
+    }
+
+    // --- Events ---
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(listener);
+        return this;
+    }
+
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (listeners) {
+            this.listeners.set(event, listeners.filter(existing => existing !== listener));
+        }
+        return this;
+    }
+
+    emit(event, ...args) {
+        if (this.closed) return; // A closed session no longer reports anything
+        (this.listeners.get(event) || []).slice().forEach(listener => listener(...args));
+    }
+
+    // --- Connection ---
+    connect() {
+        const pc = new this.PeerConnection(this.rtcConfig);
+        this.pc = pc;
+
+        pc.oniceconnectionstatechange = () => this.emit('ice-state', pc.iceConnectionState);
+        pc.onicecandidate = event => {
+            if (event.candidate) {
+                this.emit('ice-candidate', event.candidate);
+            }
+        };
+
+        if (this.role === 'sender') {
+            this.setupControlChannel(pc.createDataChannel('fileTransfer', { ordered: true }));
+
+            // Optional extra channels to stripe file data across; ordering is restored from the chunk offsets
+            if (this.parallelChannels > 1) {
+                for (let i = 0; i < this.parallelChannels; i++) {
+                    const stripeChannel = pc.createDataChannel(`${shared.STRIPE_CHANNEL_PREFIX}${i}`, { ordered: false });
+                    stripeChannel.binaryType = 'arraybuffer';
+                    this.stripeChannels.push(stripeChannel);
+                }
+            }
+        } else {
+            pc.ondatachannel = event => {
+                const channel = event.channel;
+                if (channel.label.startsWith(shared.STRIPE_CHANNEL_PREFIX)) {
+                    channel.binaryType = 'arraybuffer';
+                    channel.onmessage = message => this.handleStripedMessage(message);
+                    this.stripeChannels.push(channel);
+                    return;
+                }
+                this.setupControlChannel(channel);
+            };
+        }
+        return this;
+    }
+
+    setupControlChannel(channel) {
+        this.controlChannel = channel;
+        this.frameReader = shared.createFrameReader();
+        this.protocolVersion = shared.PROTOCOL_VERSION;
+
+        // Ensure consistent binary data handling across browsers
+        channel.binaryType = 'arraybuffer';
+
+        channel.onopen = () => {
+            // The sender offers its protocol versions, the receiver answers with its pick
+            if (this.role === 'sender') {
+                shared.sendHello(channel, { versions: shared.SUPPORTED_PROTOCOL_VERSIONS });
+            }
+            this.emit('open');
+        };
+        channel.onmessage = event => this.handleControlMessage(event);
+        channel.onclose = () => this.emit('close');
+        channel.onerror = () => {
+            const message = this.role === 'sender' ? 'Data transfer error occurred' : 'Data channel error occurred';
+            this.emit('error', createSessionError('channel-error', message));
+        };
+    }
+
+    isOpen() {
+        return !this.closed && !!this.controlChannel && this.controlChannel.readyState === 'open';
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.receiving = null;
+        this.pendingChunks.clear();
+        this.pendingCandidates = [];
+        this.stopFlowControllers();
+
+        const channels = this.controlChannel ? [this.controlChannel, ...this.stripeChannels] : this.stripeChannels;
+        channels.forEach(channel => {
+            // Detach handlers so the old channels can't report events for a new session
+            channel.onopen = null;
+            channel.onmessage = null;
+            channel.onclose = null;
+            channel.onerror = null;
+            channel.onbufferedamountlow = null;
+            channel.close();
+        });
+        this.stripeChannels = [];
+
+        if (this.pc) {
+            this.pc.oniceconnectionstatechange = null;
+            this.pc.onicecandidate = null;
+            this.pc.ondatachannel = null;
+            this.pc.close();
+        }
+    }
+
+    // --- Signaling ---
+    // Sender: resolves to the offer to pass on through the signaling server
+    async createOffer() {
+        const offer = await this.pc.createOffer();
+        await this.pc.setLocalDescription(offer);
+        return this.pc.localDescription;
+    }
+
+    // Receiver: resolves to the answer, or null when the connection isn't expecting an offer
+    async acceptOffer(sdp) {
+        if (!this.pc || this.pc.signalingState !== 'stable') {
+            return null;
+        }
+        await this.pc.setRemoteDescription(sdp);
+        const answer = await this.pc.createAnswer();
+        await this.pc.setLocalDescription(answer);
+        await this.addQueuedCandidates();
+        return this.pc.localDescription;
+    }
+
+    async acceptAnswer(sdp) {
+        if (!this.pc || this.pc.signalingState !== 'have-local-offer') {
+            return;
+        }
+        await this.pc.setRemoteDescription(sdp);
+        await this.addQueuedCandidates();
+    }
+
+    async addIceCandidate(candidate) {
+        if (!this.pc) return;
+
+        if (!this.pc.remoteDescription || !this.pc.remoteDescription.type) {
+            this.pendingCandidates.push(candidate);
+            return;
+        }
+        try {
+            await this.pc.addIceCandidate(candidate);
+        } catch (error) {
+            this.pendingCandidates.push(candidate);
+        }
+    }
+
+    async addQueuedCandidates() {
+        while (this.pendingCandidates.length > 0) {
+            const candidate = this.pendingCandidates.shift();
+            try {
+                await this.pc.addIceCandidate(candidate);
+            } catch (error) {
+                // Silently handle errors
+            }
+        }
+    }
+
+    // --- Messages ---
+    sendControl(message) {
+        if (this.isOpen()) {
+            shared.sendMessageFrames(this.controlChannel, shared.FRAME_TYPE.CONTROL, message, this.protocolVersion);
+        }
+    }
+
+    sendError(code, message) {
+        if (this.isOpen()) {
+            shared.sendMessageFrames(this.controlChannel, shared.FRAME_TYPE.ERROR, { code, message }, this.protocolVersion);
+        }
+    }
+
+    // Sender: file name, size, file list and checksums. Returns false when the connection is gone.
+    sendManifest(metadata) {
+        if (!this.isOpen()) return false;
+        shared.sendMessageFrames(this.controlChannel, shared.FRAME_TYPE.MANIFEST, metadata, this.protocolVersion);
+        return true;
+    }
+
+    // Frames from the ordered control channel
+    async handleControlMessage(event) {
+        const buffer = typeof Blob !== 'undefined' && event.data instanceof Blob ? await event.data.arrayBuffer() : event.data;
+
+        let frame;
+        try {
+            frame = this.frameReader.read(buffer);
+        } catch (e) {
+            shared.debugLog('Received malformed frame on data channel:', e);
+            return;
+        }
+        if (!frame) return; // Waiting for the rest of a fragmented message
+
+        if (frame.type === shared.FRAME_TYPE.CHUNK) {
+            await this.handleChunk(frame);
+        } else if (frame.type === shared.FRAME_TYPE.MANIFEST && this.role === 'receiver') {
+            this.emit('manifest', frame.body);
+        } else if (frame.type === shared.FRAME_TYPE.ACK && this.role === 'sender') {
+            // Bytes the receiver has saved so far
+            if (Number.isInteger(frame.body.offset)) {
+                this.acknowledgedBytes = frame.body.offset;
+                this.emit('ack', frame.body.offset);
+            }
+        } else if (frame.type === shared.FRAME_TYPE.ERROR) {
+            this.emit('remote-error', { code: frame.body.code, message: frame.body.message });
+        } else if (frame.type === shared.FRAME_TYPE.CONTROL) {
+            this.handleControl(frame.body);
+        }
+    }
+
+    handleControl(message) {
+        if (message.type === 'hello') {
+            this.handleHello(message);
+        } else if (message.type === 'cancel') {
+            this.emit('cancel');
+        } else if (message.type === 'pause') {
+            this.applyPaused(message.paused === true, true);
+        } else if (this.role !== 'sender') {
+            return;
+        } else if (message.type === 'start') {
+            this.acknowledgedBytes = 0;
+            this.emit('start');
+        } else if (message.type === 'resume') {
+            // Receiver reports how many bytes it already has on disk
+            const offset = Number(message.offset);
+            if (!Number.isInteger(offset) || offset < 0 || offset > this.file.size) {
+                this.emit('error', createSessionError('invalid-resume', 'Invalid resume request from recipient'));
+                return;
+            }
+            this.acknowledgedBytes = offset;
+            // peerId is the receiver's socket id when the transfer started, so the sender can find its row;
+            // paused tells the sender the receiver still has the transfer paused
+            this.emit('resume', { offset, peerId: message.peerId, paused: message.paused === true });
+        } else if (message.type === 'completed') {
+            // receipt: the receiver's signed delivery receipt when the checksums matched
+            this.emit('completed', { integrity: message.integrity, receipt: message.receipt || null });
+        }
+    }
+
+    handleHello(message) {
+        if (this.role === 'sender') {
+            // The receiver picked the protocol version for this connection
+            if (!shared.SUPPORTED_PROTOCOL_VERSIONS.includes(message.version)) {
+                this.emit('error', createSessionError('unsupported-version',
+                    'Recipient uses an incompatible version of the app. Ask them to reload the page.'));
+                return;
+            }
+            this.protocolVersion = message.version;
+            return;
+        }
+
+        // Answer with the highest protocol version we both speak
+        const version = shared.negotiateProtocolVersion(message.versions);
+        if (version === null) {
+            shared.sendMessageFrames(this.controlChannel, shared.FRAME_TYPE.ERROR, { code: 'unsupported-version', message: 'Incompatible app versions' }, 1);
+            this.emit('error', createSessionError('unsupported-version',
+                'The sender uses an incompatible version of the app. Ask them to reload the page.'));
+            return;
+        }
+        this.protocolVersion = version;
+        shared.sendHello(this.controlChannel, { version });
+    }
+
+    // --- Pausing ---
+    // Either side can pause. The sender stops reading slices (chunks already buffered still arrive)
+    // and both sides keep their offsets, so unpausing carries on where the transfer stopped.
+    // Always tells the other side, so a fresh session after a reconnect can restate the state.
+    setPaused(paused) {
+        this.sendControl({ type: 'pause', paused });
+        this.applyPaused(paused, false);
+    }
+
+    applyPaused(paused, remote) {
+        if (this.paused === paused) return;
+        this.paused = paused;
+
+        if (this.role === 'sender') {
+            if (paused) {
+                this.flowControllers.forEach(flow => flow.stop()); // Nothing to measure while idle
+            } else {
+                this.flowControllers.forEach(flow => flow.start());
+                this.sendLoops.forEach(readSliceAndSend => readSliceAndSend());
+            }
+        }
+        this.emit('pause', { paused, remote });
+    }
+
+    // --- Sending ---
+    // Sends from startOffset over the control channel, or striped across the parallel channels
+    // with each chunk tagged by its offset. Every channel runs its own read/send loop.
+    async sendFile(startOffset = 0) {
+        const generation = ++this.sendGeneration;
+        const file = this.file;
+        const controlChannel = this.controlChannel;
+        const striped = this.stripeChannels.length > 0;
+        const channels = striped ? this.stripeChannels : [controlChannel];
+        let nextOffset = startOffset; // Next byte not yet claimed by any channel
+        let sentBytes = startOffset;
+        let allDataSent = false;
+
+        // A newer sendFile() call (e.g. after a resume) owns the connection now
+        const isCurrent = () => generation === this.sendGeneration && !this.closed && controlChannel.readyState === 'open';
+
+        this.stopFlowControllers();
+
+        // Unordered channels may still be opening when the receiver presses accept
+        if (striped) {
+            await Promise.all(channels.map(channel => channel.readyState === 'open' ? null
+                : new Promise(resolve => channel.addEventListener('open', resolve, { once: true }))));
+            if (!isCurrent()) return;
+        }
+
+        const onChunkSent = (chunkSize) => {
+            sentBytes += chunkSize;
+            this.emit('progress', sentBytes, file.size);
+
+            // Don't close the connection when everything is sent - wait for the receiver's confirmation
+            if (sentBytes >= file.size && !allDataSent) {
+                allDataSent = true;
+                this.stopFlowControllers();
+                this.emit('sent');
+            }
+        };
+
+        // Chunk size and buffer watermarks adapt to the connection as the transfer runs
+        this.flowControllers = channels.map(dataChannel => {
+            const flow = shared.createFlowController(this.pc, dataChannel, () => this.emit('stats', this.getStats()));
+            let readInFlight = false; // Stops onbufferedamountlow from starting a second read of the same slice
+
+            const readSliceAndSend = () => {
+                if (nextOffset >= file.size || readInFlight || this.paused || !isCurrent() || dataChannel.readyState !== 'open') {
+                    return;
+                }
+                readInFlight = true;
+
+                // Claim the next slice before reading so the other channels move past it
+                const offset = nextOffset;
+                const sliceSize = Math.min(flow.chunkSize, file.size - offset);
+                nextOffset += sliceSize;
+
+                // Blob.arrayBuffer() rather than FileReader so streamed ZIP archives read the same way
+                const onSliceRead = async (originalArrayBuffer) => {
+                    if (!isCurrent()) {
+                        readInFlight = false;
+                        shared.debugLog('Data channel not ready or transfer cancelled, skipping chunk');
+                        return;
+                    }
+                    try {
+                        // Trim ArrayBuffer if it's larger than expected
+                        const finalArrayBuffer = originalArrayBuffer.byteLength > sliceSize
+                            ? originalArrayBuffer.slice(0, sliceSize)
+                            : originalArrayBuffer;
+
+                        // Encrypt with the password-derived key; the offset is bound as additional data
+                        const payload = this.key
+                            ? await shared.encryptPayload(this.key, finalArrayBuffer, shared.chunkAdditionalData(offset))
+                            : finalArrayBuffer;
+
+                        // The connection may have been replaced while encrypting
+                        if (!isCurrent()) {
+                            readInFlight = false;
+                            return;
+                        }
+
+                        dataChannel.send(shared.encodeChunkFrame(offset, payload, 0, this.protocolVersion));
+                        readInFlight = false;
+                        onChunkSent(finalArrayBuffer.byteLength);
+
+                        // Keep sending until the buffer reaches its high watermark
+                        if (!allDataSent && flow.canSend()) {
+                            readSliceAndSend();
+                        }
+                        // If buffer full, onbufferedamountlow (at the low watermark) will handle continuation
+                    } catch (error) {
+                        readInFlight = false;
+                        this.emit('error', createSessionError('send-failed', 'Error sending file chunk'));
+                    }
+                };
+
+                const onSliceError = () => {
+                    readInFlight = false;
+                    // Let the receiver know instead of leaving it waiting for data
+                    if (isCurrent()) {
+                        this.sendError('read-failed', 'The sender could not read the file');
+                    }
+                    this.emit('error', createSessionError('read-failed', 'Error reading file chunk'));
+                };
+
+                file.slice(offset, offset + sliceSize).arrayBuffer().then(onSliceRead, onSliceError);
+            };
+
+            dataChannel.onbufferedamountlow = () => {
+                if (nextOffset < file.size && !allDataSent) {
+                    readSliceAndSend();
+                }
+            };
+
+            this.sendLoops.push(readSliceAndSend);
+            if (!this.paused) {
+                flow.start();
+                readSliceAndSend();
+            }
+            return flow;
+        });
+    }
+
+    stopFlowControllers() {
+        this.flowControllers.forEach(flow => flow.stop());
+        this.flowControllers = [];
+        this.sendLoops = [];
+    }
+
+    // Flow-control stats per channel while sending, [] otherwise
+    getStats() {
+        return this.flowControllers.map(flow => flow.getStats());
+    }
+
+    // --- Receiving ---
+    // Accept chunks from `offset` on. writeAt(offset, data) saves each chunk in place as soon as it
+    // arrives; either way the chunks are handed on in order through 'data' events.
+    receive({ size, key = null, offset = 0, writeAt = null }) {
+        this.receiving = { size, key, writeAt };
+        this.pendingChunks.clear(); // Chunks past the first gap are sent again from the resume offset
+        this.nextOffset = offset;
+        this.acknowledgedBytes = offset;
+    }
+
+    // Tell the sender how much is saved, about every ACK_INTERVAL bytes and at the end
+    acknowledge(receivedBytes) {
+        if (!this.receiving) return;
+        if (receivedBytes - this.acknowledgedBytes < shared.ACK_INTERVAL && receivedBytes < this.receiving.size) return;
+        this.acknowledgedBytes = receivedBytes;
+        if (this.isOpen()) {
+            shared.sendMessageFrames(this.controlChannel, shared.FRAME_TYPE.ACK, { offset: receivedBytes }, this.protocolVersion);
+        }
+    }
+
+    // Stop receiving because of a problem on our side, telling the sender why
+    fail(code, message) {
+        if (this.closed || !this.receiving) return;
+        this.receiving = null;
+        this.sendError(code, message);
+        this.emit('error', createSessionError(code, message));
+    }
+
+    // Chunks from the striped channels
+    async handleStripedMessage(event) {
+        try {
+            await this.handleChunk(shared.decodeFrame(event.data));
+        } catch (e) {
+            shared.debugLog('Received malformed frame on striped channel:', e);
+        }
+    }
+
+    // A chunk frame: decrypt it against its own offset, then write it in place and/or hold it
+    // until the bytes before it have arrived (frames on striped channels arrive out of order)
+    async handleChunk(chunk) {
+        const receiving = this.receiving;
+        if (!receiving || this.nextOffset >= receiving.size) {
+            return;
+        }
+        if (chunk.offset < this.nextOffset || this.pendingChunks.has(chunk.offset)) {
+            return; // Already received before a resume
+        }
+
+        let data = chunk.payload;
+        if (receiving.key) {
+            try {
+                data = await shared.decryptPayload(receiving.key, data, shared.chunkAdditionalData(chunk.offset));
+            } catch (error) {
+                shared.debugLog('Chunk decryption failed:', error);
+                this.fail('decryption-failed', 'Decryption failed. The data was tampered with or the password is wrong.');
+                return;
+            }
+        }
+
+        if (data.byteLength === 0 || chunk.offset + data.byteLength > receiving.size) {
+            this.fail('invalid-chunk', 'The sender sent data past the end of the file');
+            return;
+        }
+
+        if (receiving.writeAt) {
+            try {
+                await receiving.writeAt(chunk.offset, data);
+            } catch (writeError) {
+                shared.debugLog('Write error to file stream:', writeError);
+                this.fail('write-failed', 'Error writing data to file');
+                return;
+            }
+        }
+        // A resume or failure while decrypting or writing leaves this chunk to the new attempt
+        if (receiving !== this.receiving || chunk.offset < this.nextOffset) return;
+        this.pendingChunks.set(chunk.offset, data);
+
+        // Hand on every chunk that is now contiguous with what came before
+        while (this.pendingChunks.has(this.nextOffset)) {
+            const offset = this.nextOffset;
+            const next = this.pendingChunks.get(offset);
+            this.pendingChunks.delete(offset);
+            this.nextOffset += next.byteLength;
+            this.emit('data', next, offset);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TransferSession };
+}
@@ -0,0 +1,25 @@
+// Short-lived TURN credentials in the coturn `use-auth-secret` scheme (TURN REST API).
+//
+// The username is "<expiry unix time>:<id>" and the credential is base64(HMAC-SHA1(secret, username)).
+// coturn recomputes the HMAC with the same static-auth-secret, so nothing long-lived reaches the browser.
+// The id is an HMAC of the room id under the same secret: the links' secret room ids never show up in
+// the TURN server's logs, yet every allocation for one transfer shares an id.
+const crypto = require('crypto');
+
+const DEFAULT_TURN_CREDENTIAL_TTL = 10 * 60 * 1000; // 10 minutes; the pages fetch new ones before they expire
+
+function hashRoomId(secret, roomId) {
+    return crypto.createHmac('sha256', secret).update(`turn-user:${roomId}`).digest('hex').slice(0, 16);
+}
+
+function createTurnCredentials(secret, roomId, ttl = DEFAULT_TURN_CREDENTIAL_TTL, now = Date.now()) {
+    const expiresAt = Math.floor((now + ttl) / 1000);
+    const username = `${expiresAt}:${hashRoomId(secret, roomId)}`;
+    const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+    return { username, credential, expiresAt: expiresAt * 1000 };
+}
+
+module.exports = {
+    DEFAULT_TURN_CREDENTIAL_TTL,
+    createTurnCredentials
+};